@@ -1,9 +1,13 @@
 // eslint.config.js  – vRO‑specific flat config for ESLint 9+
 // Based on “vRO JavaScript Style Guide [CB10096]”
 
+import vro from './scripts/eslint-plugin-vro.js';
+
 export default [
   {
     files: ['**/*.js'],
+    // The tooling below is Node code, not vRO code – see the last block.
+    ignores: ['scripts/**', 'test/**'],
     languageOptions: {
       ecmaVersion: 'latest',
       sourceType: 'module',
@@ -51,4 +55,41 @@ export default [
       camelcase: ['error', { properties: 'never', ignoreDestructuring: false }],
     },
   },
+
+  /* ----------  vRO runtime profile  ---------- */
+  // Scripts extracted from workflow XML are linted as virtual files named
+  // "<file>.xml#<element>.js" (see scripts/lint-workflow.js). They run on
+  // Rhino as classic scripts, not as ES modules like this config file.
+  {
+    files: ['**/*.xml#*.js'],
+    ...vro.configs.rhino,
+  },
+
+  /* ----------  Node tooling (scripts/, test/)  ---------- */
+  // ES modules on Node 20: the style rules of the guide, without the ones
+  // that only make sense on Rhino (no let, braces on every if).
+  {
+    files: ['scripts/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+    },
+    rules: {
+      indent: ['error', 2, { SwitchCase: 1 }],
+      quotes: ['error', 'single', { avoidEscape: true }],
+      semi: ['error', 'always'],
+      'brace-style': ['error', '1tbs', { allowSingleLine: true }],
+      'no-trailing-spaces': 'error',
+      'no-multiple-empty-lines': ['error', { max: 1, maxBOF: 0, maxEOF: 0 }],
+      'keyword-spacing': ['error', { before: true, after: true }],
+      'space-unary-ops': ['error', { words: true, nonwords: false }],
+      eqeqeq: ['error', 'always'],
+      'no-caller': 'error',
+      'no-with': 'error',
+      'no-new-wrappers': 'error',
+      'prefer-const': 'error',
+      'no-var': 'error',
+      camelcase: ['error', { properties: 'never', ignoreDestructuring: false }],
+    },
+  },
 ];
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// check-versions.js – enforce workflow version bumps on content changes
+// -----------------------------------------------------------------------------
+// Usage: node scripts/check-versions.js <base-ref> [head-ref]
+// • Compares every changed *.workflow.xml (pattern from vro-ci.config.json
+//   or env VRO_GLOB) with its state at <base-ref> (head-ref defaults to the
+//   working tree).
+// • Fails when the content changed but `version` did not increase
+//   (semver-aware: 1.10.0 > 1.9.0, 1.0.0 > 1.0.0-rc.1). Content means the
+//   canonical form, so running format-workflow.js changes nothing.
+// • Reports version downgrades.
+// • Reports workflow `id`s used by more than one file in the repository at
+//   head-ref (or in the working tree).
+// • Exits with code 1 if any violation was found, with code 2 for a ref git
+//   does not know (e.g. not fetched in a shallow clone).
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import fg from 'fast-glob';
+import { parseXml } from './parse-vro.js';
+import { formatXml } from './format-vro.js';
+import { changedFiles, filesAt, showFile, verifyRef } from './git-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+const config = await loadConfig();
+
+// Semver-style comparison; missing parts count as 0, a pre-release suffix
+// sorts before the release it belongs to. Returns <0, 0 or >0.
+function compareVersions(a = '0', b = '0') {
+  const split = (v) => {
+    const dash = v.indexOf('-');
+    const core = dash === -1 ? v : v.slice(0, dash);
+    const pre = dash === -1 ? undefined : v.slice(dash + 1);
+    return { parts: core.split('.').map((n) => parseInt(n, 10) || 0), pre };
+  };
+  const va = split(a);
+  const vb = split(b);
+  for (let i = 0; i < Math.max(va.parts.length, vb.parts.length); i++) {
+    const diff = (va.parts[i] ?? 0) - (vb.parts[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  if (va.pre === vb.pre) return 0;
+  if (va.pre === undefined) return 1;
+  if (vb.pre === undefined) return -1;
+  return va.pre.localeCompare(vb.pre, undefined, { numeric: true });
+}
+
+// Only the version attribute of the root element may differ for the content
+// to count as unchanged. Both sides are compared in canonical form
+// (format-vro.js), so reformatting alone needs no version bump.
+const VERSION_ATTR_RE = /(<(?:\w+:)?workflow\b[^>]*?\sversion=")[^"]*(")/;
+const withoutVersion = (xml) => formatXml(xml).replace(VERSION_ATTR_RE, '$1$2');
+
+async function rootOf(xml) {
+  const obj = await parseXml(xml);
+  return obj[Object.keys(obj)[0]];
+}
+
+// MAIN -------------------------------------------------------------------------
+const [baseRef, headRef] = process.argv.slice(2);
+if (!baseRef) {
+  console.error('Usage: node scripts/check-versions.js <base-ref> [head-ref]');
+  process.exit(EXIT.USAGE);
+}
+
+let violations = 0;
+const report = (msg) => {
+  console.error(msg);
+  violations++;
+};
+
+// 1) Version bumps on changed workflows ----------------------------------------
+let changed;
+try {
+  await Promise.all([baseRef, headRef].filter(Boolean).map(verifyRef));
+  changed = await changedFiles(baseRef, headRef, config.include.workflows, config.exclude);
+} catch (err) {
+  console.error(`❌  ${err.stderr?.trim() || err.message}`);
+  process.exit(EXIT.USAGE);
+}
+console.log(`🔍  Checking workflow versions against ${baseRef}: ${changed.length} changed file(s)\n`);
+
+for (const file of changed) {
+  const before = await showFile(baseRef, file);
+  const after = headRef ? await showFile(headRef, file) : await fs.readFile(file, 'utf8').catch(() => null);
+  if (before === null || after === null) continue; // added or deleted – nothing to bump
+
+  const [oldVersion, newVersion] = [(await rootOf(before)).version, (await rootOf(after)).version];
+  const cmp = compareVersions(newVersion, oldVersion);
+
+  if (cmp < 0) {
+    report(`${file}: version downgraded ${oldVersion} → ${newVersion}`);
+  } else if (cmp === 0 && withoutVersion(before) !== withoutVersion(after)) {
+    report(`${file}: content changed but version ${oldVersion ?? 'n/a'} was not increased`);
+  }
+}
+
+// 2) Duplicate workflow ids (at head-ref, like the versions above) -------------
+const byId = new Map();
+const workflows = headRef
+  ? await filesAt(headRef, config.include.workflows, config.exclude)
+  : await fg(config.include.workflows, { dot: true, ignore: config.exclude });
+for (const file of workflows) {
+  const id = (await rootOf(headRef ? await showFile(headRef, file) : await fs.readFile(file, 'utf8'))).id;
+  if (!id) continue;
+  byId.set(id, [...(byId.get(id) ?? []), file]);
+}
+for (const [id, files] of byId) {
+  if (files.length > 1) report(`duplicate workflow id ${id}: ${files.join(', ')}`);
+}
+
+if (violations > 0) {
+  console.error(`\n❌  Version check failed with ${violations} violation(s).`);
+  process.exit(EXIT.FAILED);
+} else {
+  console.log('✅  Workflow versions are consistent.');
+}
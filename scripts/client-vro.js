@@ -0,0 +1,346 @@
+// scripts/client-vro.js – REST client for vRA / vRO
+// -----------------------------------------------------------------------------
+// • createClient(options) talks to the vRO REST API behind a vRA appliance:
+//   login (user/password → refresh token → bearer token), importing workflows
+//   and packages, starting executions and waiting for them to finish.
+// • Plain node:http(s), no HTTP library. `ca` (PEM text) trusts a private
+//   CA, `insecure` skips certificate checks; http:// URLs work too, so the
+//   client runs against a local mock server.
+// • Network errors, timeouts and HTTP 408/429/5xx are retried `retries` times,
+//   `retryDelay` seconds apart (growing with every attempt). Starting an
+//   execution is not idempotent: it is only sent again when the server cannot
+//   have acted on it – the request never left, or came back 408/429/503 – so
+//   one run never starts a workflow twice. A 401 logs in again once – long
+//   executions outlive the bearer token.
+// • vroValue(type, value) turns a string (command line) or a JSON value into
+//   the typed value vRO expects for a parameter of that type; plainValue()
+//   goes the other way for output parameters.
+// -----------------------------------------------------------------------------
+
+import { randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+// Answers that say the request was not carried out.
+const REFUSED_STATUS = new Set([408, 429, 503]);
+const sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+// Execution states: running ones are polled, the rest end the wait.
+export const RUNNING_STATES = new Set(['initializing', 'running', 'waiting', 'waiting-signal', 'scheduled', 'suspended']);
+
+// -----------------------------------------------------------------------------
+// Parameter values
+// -----------------------------------------------------------------------------
+
+const SCALARS = { string: 'string', Text: 'string', SecureString: 'secure-string' };
+
+// vRO type of a JSON value, for Any and the entries of Properties.
+function typeOf(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (Array.isArray(value)) return 'Array/Any';
+  if (value && typeof value === 'object') return 'Properties';
+  return 'string';
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`expected ${what} as JSON, got ${JSON.stringify(text)}`);
+  }
+}
+
+// Typed parameter value; throws when `value` does not fit `type`. Arrays take
+// JSON or a comma-separated list, Properties a JSON object, SDK objects
+// (VC:VirtualMachine, …) their id.
+export function vroValue(type, value) {
+  if (type.startsWith('Array/')) {
+    const items = typeof value !== 'string' ? value
+      : value.trim().startsWith('[') ? parseJson(value, 'a list')
+        : value.split(',').map((item) => item.trim()).filter(Boolean);
+    if (!Array.isArray(items)) throw new Error(`expected a list for ${type}`);
+    return { array: { elements: items.map((item) => vroValue(type.slice('Array/'.length), item)) } };
+  }
+  if (value === null || value === undefined) throw new Error(`no value for ${type}`);
+  if (SCALARS[type]) return { [SCALARS[type]]: { value: String(value) } };
+  switch (type) {
+    case 'number': {
+      const n = Number(value);
+      if (value === '' || typeof value === 'boolean' || !Number.isFinite(n)) throw new Error(`expected a number, got ${JSON.stringify(value)}`);
+      return { number: { value: n } };
+    }
+    case 'boolean':
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+        throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+      }
+      return { boolean: { value: value === true || value === 'true' } };
+    case 'Date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw new Error(`expected a date, got ${JSON.stringify(value)}`);
+      return { date: { value: date.toISOString() } };
+    }
+    case 'Properties': {
+      const props = typeof value === 'string' ? parseJson(value, 'an object') : value;
+      if (!props || typeof props !== 'object' || Array.isArray(props)) throw new Error('expected an object for Properties');
+      return {
+        properties: {
+          property: Object.entries(props).map(([key, v]) => ({ key, value: vroValue(typeOf(v), v) })),
+        },
+      };
+    }
+    case 'Any': {
+      let v = value;
+      if (typeof value === 'string') {
+        try {
+          v = JSON.parse(value);
+        } catch {
+          // a plain string
+        }
+      }
+      return vroValue(typeOf(v), v);
+    }
+    default:
+      if (type.includes(':')) return { 'sdk-object': { type, id: String(value) } };
+      throw new Error(`values of type ${type} cannot be passed in`);
+  }
+}
+
+// JSON value of a typed vRO value – the inverse of vroValue().
+export function plainValue(value) {
+  const [kind, inner] = Object.entries(value ?? {})[0] ?? [];
+  if (!kind) return null;
+  if (kind === 'array') return (inner.elements ?? []).map(plainValue);
+  if (kind === 'properties') return Object.fromEntries((inner.property ?? []).map((p) => [p.key, plainValue(p.value)]));
+  if (kind === 'sdk-object') return `${inner.type}:${inner.id}`;
+  return inner?.value ?? null;
+}
+
+// Execution parameters for a workflow with the given inputs ([{ name, type }])
+// from { name: value }. Inputs without a value are left out – vRO passes null.
+export function executionParameters(inputs, values) {
+  const types = new Map(inputs.map((p) => [p.name, p.type]));
+  const problems = [];
+  const parameters = [];
+  for (const [name, value] of Object.entries(values)) {
+    if (!types.has(name)) {
+      problems.push(`"${name}" is not an input of the workflow (inputs: ${[...types.keys()].join(', ') || 'none'})`);
+      continue;
+    }
+    try {
+      parameters.push({ name, type: types.get(name), scope: 'local', value: vroValue(types.get(name), value) });
+    } catch (err) {
+      problems.push(`"${name}": ${err.message}`);
+    }
+  }
+  if (problems.length) throw new Error(problems.join('; '));
+  return parameters;
+}
+
+// -----------------------------------------------------------------------------
+// Uploads
+// -----------------------------------------------------------------------------
+
+// A workflow XML as the .workflow file the vRO client exports: a zip with the
+// XML in UTF-16 (big endian, with BOM) and a properties file saying so.
+export function workflowArchive(text) {
+  const content = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+  const zip = new AdmZip();
+  zip.addFile('workflow-info', Buffer.from('unicode=true\n', 'utf8'));
+  zip.addFile('workflow-content', content);
+  return zip.toBuffer();
+}
+
+function multipart(field, filename, data) {
+  const boundary = `----vro-ci-${randomUUID()}`;
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\n` +
+      'Content-Type: application/octet-stream\r\n\r\n'),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  return { body, type: `multipart/form-data; boundary=${boundary}` };
+}
+
+// -----------------------------------------------------------------------------
+// Client
+// -----------------------------------------------------------------------------
+
+// Errors carry `sent`: whether the request had reached the server's socket.
+function send(url, { method, headers, body, agent, timeout }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    let sent = false;
+    const req = transport.request(target, { method, headers, agent, timeout: timeout * 1000 }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('finish', () => {
+      sent = true;
+    });
+    req.on('timeout', () => req.destroy(new Error(`no response within ${timeout}s`)));
+    req.on('error', (err) => reject(Object.assign(err, { sent })));
+    req.end(body);
+  });
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function errorText(text) {
+  try {
+    const json = JSON.parse(text);
+    return json.message ?? json.error ?? text;
+  } catch {
+    return text.slice(0, 200);
+  }
+}
+
+export function createClient({
+  url,
+  username,
+  password,
+  refreshToken,
+  ca,
+  insecure = false,
+  retries = 3,
+  retryDelay = 5,
+  requestTimeout = 60,
+  log = () => {},
+}) {
+  if (!url) throw new Error('no vRA URL – set VRA_URL or remote.url');
+  const base = url.replace(/\/+$/, '');
+  const agent = base.startsWith('https:') ? new https.Agent({ ca: ca ?? undefined, rejectUnauthorized: !insecure }) : undefined;
+  let token = null;
+
+  // `idempotent` requests may be sent again whatever went wrong; POSTs are
+  // not, unless the caller says so.
+  async function request(method, apiPath, { json, body, type, auth = true, idempotent = method !== 'POST' } = {}) {
+    if (auth && !token) await login();
+    let reauthenticated = false;
+    for (let attempt = 1; ; attempt++) {
+      const headers = { Accept: 'application/json' };
+      const payload = json === undefined ? body : Buffer.from(JSON.stringify(json));
+      if (payload) Object.assign(headers, { 'Content-Type': type ?? 'application/json', 'Content-Length': payload.length });
+      if (auth) headers.Authorization = `Bearer ${token}`;
+
+      let response;
+      let failure;
+      let sent = true;
+      try {
+        response = await send(base + apiPath, { method, headers, body: payload, agent, timeout: requestTimeout });
+      } catch (err) {
+        failure = err.message;
+        sent = err.sent;
+      }
+      if (response?.status === 401 && auth && !reauthenticated) {
+        reauthenticated = true;
+        await login();
+        attempt--;
+        continue;
+      }
+      if (response && response.status < 300) {
+        return { status: response.status, headers: response.headers, data: parseBody(response.text) };
+      }
+      failure ??= `HTTP ${response.status}${response.text ? ` – ${errorText(response.text)}` : ''}`;
+      const retryable = idempotent
+        ? !response || RETRY_STATUS.has(response.status)
+        : response ? REFUSED_STATUS.has(response.status) : !sent;
+      if (!retryable || attempt > retries) {
+        const unsure = !idempotent && !retryable && (!response || RETRY_STATUS.has(response.status));
+        const error = new Error(`${method} ${apiPath.split('?')[0]} failed: ${failure}` +
+          (unsure ? ' – not sent again, the server may have carried it out' : ''));
+        error.status = response?.status;
+        throw error;
+      }
+      log(`⚠  ${method} ${apiPath.split('?')[0]}: ${failure} – retrying in ${retryDelay * attempt}s (${attempt}/${retries})`);
+      await sleep(retryDelay * attempt);
+    }
+  }
+
+  // Bearer token from the refresh token, which in turn comes from the user
+  // and password unless it was given.
+  async function login() {
+    let refresh = refreshToken;
+    if (!refresh) {
+      if (!username || !password) throw new Error('no credentials – set VRA_REFRESH_TOKEN or VRA_USER and VRA_PASSWORD');
+      const { data } = await request('POST', '/csp/gateway/am/api/login?access_token', {
+        json: { username, password },
+        auth: false,
+        idempotent: true,
+      });
+      refresh = data?.refresh_token;
+      if (!refresh) throw new Error('login failed: the response has no refresh_token');
+    }
+    const { data } = await request('POST', '/iaas/api/login', { json: { refreshToken: refresh }, auth: false, idempotent: true });
+    if (!data?.token) throw new Error('login failed: the response has no token');
+    token = data.token;
+  }
+
+  // Imports a .package, an exported .workflow or a workflow XML file.
+  // Workflows need the id of the category (folder) they go to. Importing the
+  // same file again creates nothing new, so uploads are retried.
+  async function importFile(file, { categoryId, overwrite = false } = {}) {
+    const name = path.basename(file);
+    const query = `overwrite=${overwrite}`;
+    if (name.endsWith('.package')) {
+      const { body, type } = multipart('file', name, await fs.readFile(file));
+      await request('POST', `/vco/api/packages?${query}`, { body, type, idempotent: true });
+      return;
+    }
+    if (!categoryId) throw new Error('importing a workflow needs a category id');
+    const data = name.endsWith('.workflow') ? await fs.readFile(file) : workflowArchive(await fs.readFile(file, 'utf8'));
+    const { body, type } = multipart('file', name.replace(/\.xml$/i, '.workflow'), data);
+    await request('POST', `/vco/api/workflows?categoryId=${encodeURIComponent(categoryId)}&${query}`, { body, type, idempotent: true });
+  }
+
+  // Input parameters of a workflow on the server, as [{ name, type }].
+  async function workflowInputs(workflowId) {
+    const { data } = await request('GET', `/vco/api/workflows/${encodeURIComponent(workflowId)}`);
+    return (data?.['input-parameters'] ?? []).map(({ name, type }) => ({ name, type }));
+  }
+
+  // Starts an execution and returns its id.
+  async function startExecution(workflowId, parameters) {
+    const { headers, data } = await request('POST', `/vco/api/workflows/${encodeURIComponent(workflowId)}/executions`, {
+      json: { parameters },
+    });
+    const id = data?.id ?? headers.location?.replace(/\/+$/, '').split('/').pop();
+    if (!id) throw new Error('the server did not return an execution id');
+    return id;
+  }
+
+  async function execution(workflowId, executionId) {
+    const { data } = await request('GET', `/vco/api/workflows/${encodeURIComponent(workflowId)}/executions/${encodeURIComponent(executionId)}`);
+    return data;
+  }
+
+  // Polls until the execution leaves the running states; throws after
+  // `timeout` seconds. onState(state) is called whenever the state changes.
+  async function waitForExecution(workflowId, executionId, { interval = 5, timeout = 1800, onState = () => {} } = {}) {
+    const deadline = Date.now() + timeout * 1000;
+    let last;
+    for (;;) {
+      const result = await execution(workflowId, executionId);
+      if (result?.state !== last) onState((last = result?.state));
+      if (!RUNNING_STATES.has(result?.state)) return result;
+      if (Date.now() + interval * 1000 > deadline) throw new Error(`execution ${executionId} still ${last} after ${timeout}s`);
+      await sleep(interval);
+    }
+  }
+
+  return { login, request, importFile, workflowInputs, startExecution, execution, waitForExecution };
+}
@@ -0,0 +1,229 @@
+// scripts/config-vro.js – repo-level configuration shared by all vro-ci tools
+// -----------------------------------------------------------------------------
+// • Reads vro-ci.config.json from the working directory (another file via
+//   VRO_CI_CONFIG or `vro-ci --config <file>`); without a file the defaults
+//   below apply, so the tools keep working in repositories that have none.
+// • The config file only needs the keys it changes, e.g.:
+//     {
+//       "include":  { "workflows": ["Workflow/**/*workflow.xml"] },
+//       "exclude":  ["**/archive/**"],
+//       "output":   { "workflows": "site/workflows" },
+//       "docs":     { "diagramLayout": "position" },
+//       "validate": { "workflowDescriptionMinLength": 80,
+//                     "rules": { "item-description": "warn" },
+//                     "ruleModules": ["ci/rules/*.js"],
+//                     "secrets": { "allowlist": ["corp.example"] } },
+//       "lint":     { "rules": { "no-unused-vars": "error" } },
+//       "metrics":  { "severity": "error", "thresholds": { "elements": 60 } },
+//       "remote":   { "url": "https://vra.example.com", "ca": "certs/vra-ca.pem" },
+//       "cache":    ".vro-ci-cache"
+//     }
+// • VRO_GLOB / VRO_ACTION_GLOB / VRO_PACKAGE_GLOB / VRO_TEST_GLOB still win
+//   over the file, for one-off runs.
+// • VRA_URL overrides remote.url; the vRA credentials only ever come from the
+//   environment (see remote-workflow.js).
+// • Exit codes are the same for every tool: 0 – clean (warnings allowed),
+//   1 – error-level findings, 2 – usage or configuration error.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+
+export const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+export const CONFIG_FILE = 'vro-ci.config.json';
+const SEVERITIES = ['off', 'warn', 'error']; // ESLint order, for 0 | 1 | 2
+const VALIDATE_SEVERITIES = ['off', 'info', 'warn', 'error'];
+
+const DEFAULTS = {
+  include: {
+    workflows: ['**/*workflow.xml'],
+    actions: ['**/*action.xml'],
+    packages: ['**/*.package'],
+    tests: ['**/*.test.json'],
+  },
+  // The tools' own examples are not workflows of the repo.
+  exclude: ['**/node_modules/**', '**/examples/**'],
+  output: {
+    workflows: 'docs/workflows',
+    actions: 'docs/actions',
+    dependencies: 'docs/dependencies.md',
+    metrics: 'docs/metrics.md',
+    // HTML site, written by `docs --html` next to the Markdown pages.
+    site: 'docs/site',
+  },
+  // Workflow diagrams: "auto" lets Mermaid arrange them, "position" follows
+  // the element coordinates of the vRO client (see mermaid-vro.js).
+  docs: { diagramLayout: 'auto' },
+  validate: {
+    workflowDescriptionMinLength: 50,
+    itemDescriptionMinLength: 15,
+    // Descriptions vRO fills in for new schema elements – not documentation.
+    invalidDefaultTexts: [
+      'Simple task with custom script capability.',
+      'Custom decision based on a custom script.',
+      'Decision activity based on a workflow or an action.',
+      'Use this element to set up a user interaction.',
+      'Add a note to the workflow schema.',
+      'Start an asynchronous workflow.',
+      'Schedule a workflow and create a task.',
+      'Basic switch activity based on a workflow attribute or parameter.',
+      'Sleep a given number of seconds.',
+      'Change current execution credential.',
+      'Wait until date.',
+      'Wait for custom event.',
+      'Send a custom event.',
+      'Log the input text to the console log with the level "log".',
+      'Log the input text to the console log with the level "warn".',
+      'Log the input text to the console log with the level "error".',
+      'Log the input text to the server log with the level "log".',
+      'Log the input text to the server log with the level "warn".',
+      'Log the input text to the server log with the level "error".',
+      'Log the input text to the console and the server log with the level "log".',
+      'Log the input text to the console and the server log with the level "warn".',
+      'Log the input text to the console and the server log with the level "error".',
+    ],
+    rules: {},
+    // Own rule modules (globs, relative to the repository root).
+    ruleModules: [],
+    // Known findings that do not fail the run – see rules-vro.js.
+    baseline: 'vro-ci.baseline.json',
+    // Secret & host detection – see secrets-vro.js.
+    secrets: { allowlist: [], minEntropy: 4 },
+  },
+  lint: { rules: {} },
+  // Size & complexity budgets (see metrics-vro.js); 0 or null disables one.
+  // Over-budget workflows are reported as warnings or errors.
+  metrics: {
+    severity: 'warn',
+    thresholds: {
+      elements: 40,
+      depth: 30,
+      branches: 10,
+      attribs: 30,
+      inputs: 15,
+      outputs: 10,
+      params: 10,
+      scriptLines: 150,
+      complexity: 15,
+      nesting: 4,
+    },
+  },
+  // vRA/vRO REST API for remote-workflow.js (see client-vro.js). Times are in
+  // seconds; ca is a PEM file, insecure skips certificate checks altogether.
+  remote: {
+    url: null,
+    ca: null,
+    insecure: false,
+    retries: 3,
+    retryDelay: 5,
+    requestTimeout: 60,
+    pollInterval: 5,
+    waitTimeout: 1800,
+  },
+  // Parse cache and incremental-run state (see incremental-vro.js); false
+  // turns both off.
+  cache: '.vro-ci-cache',
+};
+
+const ENV_GLOBS = {
+  workflows: 'VRO_GLOB',
+  actions: 'VRO_ACTION_GLOB',
+  packages: 'VRO_PACKAGE_GLOB',
+  tests: 'VRO_TEST_GLOB',
+};
+
+const asList = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+
+// ESLint-style severities: "off" | "warn" | "error" or 0 | 1 | 2; validate
+// rules also know "info" (reported, never counted).
+export function severity(value) {
+  return typeof value === 'number' ? SEVERITIES[value] : value;
+}
+
+function check(config, file) {
+  const problems = [];
+  for (const [key, patterns] of Object.entries(config.include)) {
+    if (!(key in DEFAULTS.include)) problems.push(`include.${key} is not a known source kind`);
+    else if (asList(patterns).some((p) => typeof p !== 'string')) problems.push(`include.${key} must be a glob or a list of globs`);
+  }
+  for (const [tool, rules, allowed] of [
+    ['validate', config.validate.rules, VALIDATE_SEVERITIES],
+    ['lint', config.lint.rules, SEVERITIES],
+  ]) {
+    for (const [id, value] of Object.entries(rules)) {
+      const level = severity(Array.isArray(value) ? value[0] : value);
+      if (!allowed.includes(level)) problems.push(`${tool}.rules.${id}: severity must be one of ${allowed.join(', ')}`);
+    }
+  }
+  const { allowlist, minEntropy } = config.validate.secrets;
+  if (!Array.isArray(allowlist) || allowlist.some((a) => typeof a !== 'string')) problems.push('validate.secrets.allowlist must be a list of strings');
+  if (typeof minEntropy !== 'number') problems.push('validate.secrets.minEntropy must be a number');
+  if (!['auto', 'position'].includes(config.docs.diagramLayout)) problems.push('docs.diagramLayout must be auto or position');
+  if (!['warn', 'error'].includes(config.metrics.severity)) problems.push('metrics.severity must be warn or error');
+  for (const [metric, limit] of Object.entries(config.metrics.thresholds)) {
+    if (!(metric in DEFAULTS.metrics.thresholds)) problems.push(`metrics.thresholds.${metric} is not a known metric`);
+    else if (limit !== null && typeof limit !== 'number') problems.push(`metrics.thresholds.${metric} must be a number or null`);
+  }
+  const { url, ca, insecure, ...times } = config.remote;
+  if (url !== null && typeof url !== 'string') problems.push('remote.url must be a URL');
+  if (ca !== null && typeof ca !== 'string') problems.push('remote.ca must be a file');
+  if (typeof insecure !== 'boolean') problems.push('remote.insecure must be true or false');
+  for (const [key, value] of Object.entries(times)) {
+    if (!(key in DEFAULTS.remote)) problems.push(`remote.${key} is not a known setting`);
+    else if (typeof value !== 'number' || value < 0) problems.push(`remote.${key} must be a number ≥ 0`);
+  }
+  if (config.cache !== false && typeof config.cache !== 'string') problems.push('cache must be a directory or false');
+  if (problems.length) throw new Error(`${file}: ${problems.join('; ')}`);
+}
+
+// Returns the merged config; `include` values are always lists of globs.
+export async function readConfig(file = process.env.VRO_CI_CONFIG) {
+  let user = {};
+  try {
+    user = JSON.parse(await fs.readFile(file ?? CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    // Only the implicit default file may be absent.
+    if (!(err.code === 'ENOENT' && !file)) throw new Error(`${file ?? CONFIG_FILE}: ${err.message}`);
+  }
+
+  const config = {
+    include: { ...DEFAULTS.include, ...user.include },
+    exclude: user.exclude ?? DEFAULTS.exclude,
+    output: { ...DEFAULTS.output, ...user.output },
+    validate: {
+      ...DEFAULTS.validate,
+      ...user.validate,
+      rules: { ...user.validate?.rules },
+      secrets: { ...DEFAULTS.validate.secrets, ...user.validate?.secrets },
+    },
+    lint: { rules: { ...user.lint?.rules } },
+    metrics: {
+      ...DEFAULTS.metrics,
+      ...user.metrics,
+      thresholds: { ...DEFAULTS.metrics.thresholds, ...user.metrics?.thresholds },
+    },
+    docs: { ...DEFAULTS.docs, ...user.docs },
+    remote: { ...DEFAULTS.remote, ...user.remote },
+    cache: user.cache ?? DEFAULTS.cache,
+  };
+  check(config, file ?? CONFIG_FILE);
+
+  for (const [key, env] of Object.entries(ENV_GLOBS)) {
+    if (process.env[env]) config.include[key] = process.env[env];
+  }
+  if (process.env.VRA_URL) config.remote.url = process.env.VRA_URL;
+  for (const key of Object.keys(config.include)) config.include[key] = asList(config.include[key]);
+  config.exclude = asList(config.exclude);
+  config.validate.ruleModules = asList(config.validate.ruleModules);
+  return config;
+}
+
+// For the command-line tools: a broken config file is a usage error.
+export async function loadConfig(file) {
+  try {
+    return await readConfig(file);
+  } catch (err) {
+    console.error(`❌  Invalid configuration – ${err.message}`);
+    process.exit(EXIT.USAGE);
+  }
+}
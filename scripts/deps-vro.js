@@ -0,0 +1,91 @@
+// scripts/deps-vro.js – repo-wide index of workflows, actions and references
+// -----------------------------------------------------------------------------
+// • Indexes every workflow by id and every action by "module/name".
+// • Collects references from workflow elements: `linked-workflow-id`
+//   (workflow elements, foreach, async calls) and `script-module`, plus
+//   System.getModule("…").name( and Server.getWorkflowWithId("…") in scripts.
+// • Resolves each reference against the index; unresolved ones are missing.
+// -----------------------------------------------------------------------------
+
+import { actionMeta, extractScripts } from './parse-vro.js';
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+const txt = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+const GET_MODULE_RE = /System\.getModule\(\s*["']([\w.]+)["']\s*\)\s*\.\s*(\w+)\s*\(/g;
+const GET_WORKFLOW_RE = /Server\.getWorkflowWithId\(\s*["']([\w-]+)["']\s*\)/g;
+
+function workflowReferences(obj) {
+  const root = obj[Object.keys(obj)[0]];
+  const refs = [];
+  for (const el of collect(root['workflow-item'])) {
+    const element = txt(el['display-name']) || el.name;
+    if (el['linked-workflow-id']) refs.push({ kind: 'workflow', target: el['linked-workflow-id'], element });
+    if (el['script-module']) refs.push({ kind: 'action', target: el['script-module'], element });
+  }
+  for (const { name, code } of extractScripts(obj)) {
+    for (const m of code.matchAll(GET_MODULE_RE)) refs.push({ kind: 'action', target: `${m[1]}/${m[2]}`, element: name });
+    for (const m of code.matchAll(GET_WORKFLOW_RE)) refs.push({ kind: 'workflow', target: m[1], element: name });
+  }
+
+  // An element that both links and calls the same module counts once.
+  const seen = new Set();
+  return refs.filter((r) => {
+    const key = `${r.kind}|${r.target}|${r.element}`;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// `sources` as returned by loadSources(). Every reference carries `from`
+// (the id of the calling workflow or the fqn of the calling action) and
+// `resolved` (the indexed entry, or undefined when it is missing).
+export function buildIndex(sources) {
+  const workflows = new Map();
+  const actions = new Map();
+
+  // The first definition wins, so loose XML takes precedence over a copy of
+  // the same workflow or action inside an exported package.
+  for (const source of sources) {
+    if (source.kind === 'action') {
+      const meta = actionMeta(source.obj);
+      if (actions.has(meta.fqn)) continue;
+      actions.set(meta.fqn, { ...meta, source, references: [] });
+    } else {
+      const root = source.obj[Object.keys(source.obj)[0]];
+      const id = root.id ?? source.label;
+      if (workflows.has(id)) continue;
+      workflows.set(id, {
+        id,
+        name: txt(root['display-name']) || root['object-name'] || source.label,
+        source,
+        references: workflowReferences(source.obj),
+      });
+    }
+  }
+
+  // Actions call other actions through System.getModule as well.
+  for (const action of actions.values()) {
+    for (const m of action.script.matchAll(GET_MODULE_RE)) {
+      action.references.push({ kind: 'action', target: `${m[1]}/${m[2]}`, element: action.name });
+    }
+  }
+
+  const references = [];
+  for (const [from, entry] of [...workflows, ...actions]) {
+    for (const ref of entry.references) {
+      const resolved = ref.kind === 'workflow' ? workflows.get(ref.target) : actions.get(ref.target);
+      references.push({ ...ref, from, resolved });
+    }
+  }
+
+  return { workflows, actions, references };
+}
+
+export function missingReferences(index) {
+  return index.references.filter((r) => !r.resolved);
+}
+
+// Who calls the workflow (id) or action (module/name) `target`.
+export function callersOf(index, target) {
+  return index.references.filter((r) => r.target === target);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+// deps-workflow.js – cross-workflow dependency checks
+// -----------------------------------------------------------------------------
+// • Indexes all workflows & actions (vro-ci.config.json, or VRO_GLOB,
+//   VRO_ACTION_GLOB, VRO_PACKAGE_GLOB) and resolves every linked workflow /
+//   script module.
+// • Reports references to workflows or actions that are not in the repository
+//   and exits with code 1 if any were found.
+// • --callers <workflow id | workflow name | module/action> lists who calls
+//   it – run this before deleting or changing the signature of a shared item.
+// • The dependency graph page is generated by docs-workflow.js.
+// -----------------------------------------------------------------------------
+
+import { loadSources } from './parse-vro.js';
+import { buildIndex, callersOf, missingReferences } from './deps-vro.js';
+import { EXIT } from './config-vro.js';
+
+const index = buildIndex(await loadSources());
+const describe = (from) => {
+  const entry = index.workflows.get(from) ?? index.actions.get(from);
+  return entry ? `${entry.source.label} (${entry.name})` : from;
+};
+
+const at = process.argv.indexOf('--callers');
+if (at !== -1) {
+  const query = process.argv[at + 1];
+  if (!query) {
+    console.error('Usage: node scripts/deps-workflow.js --callers <workflow id | workflow name | module/action>');
+    process.exit(EXIT.USAGE);
+  }
+  const byName = [...index.workflows.values()].find((w) => w.name === query);
+  const target = byName?.id ?? query;
+  const callers = callersOf(index, target);
+
+  console.log(`🔗  Callers of ${byName ? `${byName.name} (${target})` : target}: ${callers.length}\n`);
+  for (const ref of callers) console.log(`    ${describe(ref.from)} → element "${ref.element}"`);
+  process.exit(EXIT.OK);
+}
+
+console.log(`🔗  Indexed ${index.workflows.size} workflow(s), ${index.actions.size} action(s), ${index.references.length} reference(s)\n`);
+
+const missing = missingReferences(index);
+for (const ref of missing) {
+  console.error(`${describe(ref.from)}: element "${ref.element}" references missing ${ref.kind} ${ref.target}`);
+}
+
+if (missing.length > 0) {
+  console.error(`\n❌  ${missing.length} reference(s) cannot be resolved.`);
+  process.exit(EXIT.FAILED);
+} else {
+  console.log('✅  All workflow and action references resolve.');
+}
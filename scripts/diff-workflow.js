@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+// diff-workflow.js — semantic diff of workflows between two git revisions
+// -----------------------------------------------------------------------------
+// Usage: node scripts/diff-workflow.js <base-ref> [head-ref] [-- file …]
+// • Without head-ref the working tree is compared against base-ref.
+// • Without files every changed "*workflow.xml" is compared (include.workflows
+//   in vro-ci.config.json, or VRO_GLOB).
+// • Reports, in workflow terms: version, inputs/outputs/attribs added,
+//   removed or retyped; elements added or removed; changed bindings;
+//   rewired transitions; script changes as unified JavaScript diffs.
+// • Prints Markdown that fits in a PR comment (redirect it to a file).
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import { createTwoFilesPatch } from 'diff';
+import { parseXml } from './parse-vro.js';
+import { changedFiles, showFile, verifyRef } from './git-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+const config = await loadConfig();
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+const txt = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+// -----------------------------------------------------------------------------
+// Model – the parts of a workflow a reviewer cares about, keyed for diffing
+// -----------------------------------------------------------------------------
+function binds(binding) {
+  return new Map(collect(binding?.bind).map((b) => [b.name, `${b['export-name'] ?? '(none)'}: ${b.type}`]));
+}
+
+function workflowModel(xmlObj) {
+  const root = xmlObj[Object.keys(xmlObj)[0]];
+  const vars = (list) => new Map(collect(list).map((p) => [p.name, p.type]));
+  const elements = new Map();
+
+  for (const el of [...collect(root['workflow-item']), ...collect(root['error-handler'])]) {
+    const transitions = new Map([
+      ['out', el['out-name']],
+      ['alt-out', el['alt-out-name']],
+      ['catch', el['catch-name']],
+    ]);
+    for (const c of collect(el.condition)) {
+      if (c?.label) transitions.set(`condition "${txt(c)}"`, c.label);
+    }
+    elements.set(el.name, {
+      label: txt(el['display-name']) || el.name,
+      type: el.type ?? 'error-handler',
+      inBindings: binds(el['in-binding']),
+      outBindings: binds(el['out-binding']),
+      transitions,
+      script: el.script?._ ?? '',
+    });
+  }
+
+  return {
+    name: txt(root['display-name']) || root['object-name'],
+    version: root.version,
+    variables: {
+      input: vars(root.input?.param),
+      output: vars(root.output?.param),
+      attribute: vars(root.attrib),
+    },
+    elements,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Comparison → Markdown
+// -----------------------------------------------------------------------------
+function compareMaps(before, after) {
+  const changes = [];
+  for (const [key, value] of after) {
+    if (!before.has(key)) changes.push({ key, change: 'added', after: value });
+    else if (before.get(key) !== value) changes.push({ key, change: 'changed', before: before.get(key), after: value });
+  }
+  for (const [key, value] of before) {
+    if (!after.has(key)) changes.push({ key, change: 'removed', before: value });
+  }
+  return changes;
+}
+
+const ICON = { added: '➕', removed: '➖', changed: '✏️' };
+
+function diffWorkflow(file, base, head, baseRef, headRef) {
+  const label = (name) => {
+    const el = head?.elements.get(name) ?? base?.elements.get(name);
+    return el ? `\`${el.label}\`` : `\`${name}\``;
+  };
+
+  let md = `## 🔀 ${head?.name ?? base?.name}\n\n`;
+  md += `\`${file}\` — \`${baseRef}\` → \`${headRef}\`\n\n`;
+
+  if (!base) return md + '_New workflow._\n\n';
+  if (!head) return md + '_Workflow deleted._\n\n';
+
+  let body = '';
+  if (base.version !== head.version) body += `**Version:** ${base.version ?? 'n/a'} → ${head.version ?? 'n/a'}\n\n`;
+
+  // ---------- parameters & attributes ----------------------------------------
+  const varRows = [];
+  for (const kind of ['input', 'output', 'attribute']) {
+    for (const c of compareMaps(base.variables[kind], head.variables[kind])) {
+      const type = c.change === 'changed' ? `${c.before} → ${c.after}` : c.after ?? c.before;
+      varRows.push(`| ${ICON[c.change]} ${c.change === 'changed' ? 'retyped' : c.change} | ${kind} | \`${c.key}\` | ${type} |`);
+    }
+  }
+  if (varRows.length) {
+    body += '### Parameters & attributes\n\n| Change | Kind | Name | Type |\n| --- | --- | --- | --- |\n';
+    body += `${varRows.join('\n')}\n\n`;
+  }
+
+  // ---------- elements ---------------------------------------------------------
+  const elementLines = [];
+  const bindingLines = [];
+  const transitionLines = [];
+  const scriptBlocks = [];
+
+  for (const name of new Set([...base.elements.keys(), ...head.elements.keys()])) {
+    const before = base.elements.get(name);
+    const after = head.elements.get(name);
+    if (!before || !after) {
+      const el = after ?? before;
+      elementLines.push(`- ${after ? ICON.added + ' Added' : ICON.removed + ' Removed'} \`${el.label}\` (${el.type}, ${name})`);
+      continue;
+    }
+    if (before.label !== after.label) elementLines.push(`- ${ICON.changed} Renamed \`${before.label}\` → \`${after.label}\` (${name})`);
+
+    for (const dir of ['in', 'out']) {
+      for (const c of compareMaps(before[`${dir}Bindings`], after[`${dir}Bindings`])) {
+        const detail = c.change === 'changed' ? `${c.before} → ${c.after}` : c.after ?? c.before;
+        bindingLines.push(`- ${label(name)}: ${dir}-binding \`${c.key}\` ${c.change} (${detail})`);
+      }
+    }
+
+    for (const c of compareMaps(before.transitions, after.transitions)) {
+      const target = (n) => (n ? label(n) : '_none_');
+      transitionLines.push(`- ${label(name)}: ${c.key} ${target(c.before)} → ${target(c.after)}`);
+    }
+
+    if (before.script !== after.script) {
+      // Scripts rarely end with a newline; add one so hunks stay free of
+      // "\ No newline at end of file" noise.
+      const patch = createTwoFilesPatch(
+        `${baseRef}/${after.label}.js`, `${headRef}/${after.label}.js`,
+        `${before.script}\n`, `${after.script}\n`, undefined, undefined, { context: 3 })
+        .split('\n')
+        .slice(1) // drop the "===" separator, keep ---/+++ and hunks
+        .join('\n')
+        .trimEnd();
+      scriptBlocks.push(`<details>\n<summary>${after.label}</summary>\n\n\`\`\`diff\n${patch}\n\`\`\`\n</details>\n`);
+    }
+  }
+
+  if (elementLines.length) body += `### Elements\n\n${elementLines.join('\n')}\n\n`;
+  if (bindingLines.length) body += `### Bindings\n\n${bindingLines.join('\n')}\n\n`;
+  if (transitionLines.length) body += `### Transitions\n\n${transitionLines.join('\n')}\n\n`;
+  if (scriptBlocks.length) body += `### Scripts\n\n${scriptBlocks.join('\n')}\n`;
+
+  return md + (body || '_No semantic changes (formatting or layout only)._\n\n');
+}
+
+// -----------------------------------------------------------------------------
+// MAIN
+// -----------------------------------------------------------------------------
+const argv = process.argv.slice(2);
+const sep = argv.indexOf('--');
+const refs = sep === -1 ? argv : argv.slice(0, sep);
+const [baseRef, headRef] = refs;
+
+if (!baseRef) {
+  console.error('Usage: node scripts/diff-workflow.js <base-ref> [head-ref] [-- file …]');
+  process.exit(EXIT.USAGE);
+}
+
+let files;
+try {
+  await Promise.all(refs.map(verifyRef));
+  files = sep === -1 ? await changedFiles(baseRef, headRef, config.include.workflows, config.exclude) : argv.slice(sep + 1);
+} catch (err) {
+  console.error(`❌  ${err.stderr?.trim() || err.message}`);
+  process.exit(EXIT.USAGE);
+}
+
+const load = async (ref, file) => {
+  const text = ref ? await showFile(ref, file) : await fs.readFile(file, 'utf8').catch(() => null);
+  return text === null ? null : workflowModel(await parseXml(text));
+};
+
+let md = `# Workflow changes (${files.length} file(s))\n\n`;
+for (const file of files) {
+  const [before, after] = await Promise.all([load(baseRef, file), load(headRef, file)]);
+  md += diffWorkflow(file, before, after, baseRef, headRef ?? 'working tree');
+}
+
+process.stdout.write(md);
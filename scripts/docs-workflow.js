@@ -1,25 +1,59 @@
 // docs-workflow.js — generate Markdown docs purely from XML + local form JSON
 // -----------------------------------------------------------------------------
-import fg from 'fast-glob';
+// Sources and output paths come from vro-ci.config.json ("include",
+// "exclude", "output" – see config-vro.js).
+// --html additionally renders the pages into a static site (output.site) with
+// a searchable index – see site-vro.js. Markdown stays the default.
+// --since <ref> / --changed regenerate only the pages of what changed since a
+// git ref or the last run, and what links to or from it (incremental-vro.js).
+// Pages are only written when their content changes. Credentials and tokens
+// in scripts are masked.
+// Workflow diagrams draw each element type in its own shape, with error paths
+// and links to linked workflows & actions; docs.diagramLayout "position"
+// follows the vRO client's layout (see mermaid-vro.js).
+// output.metrics gets the size & complexity tables of every workflow and
+// action, with what is over metrics.thresholds (see metrics-vro.js).
+// -----------------------------------------------------------------------------
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
-import { loadXml } from './parse-vro.js';
-
-
-const GLOB = process.env.VRO_GLOB || '**/*workflow.xml';
-const OUT_DIR = 'docs/workflows';
+import { loadSources, isAction, actionMeta } from './parse-vro.js';
+import { buildIndex, callersOf } from './deps-vro.js';
+import { loadForm } from './forms-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+import { buildSite } from './site-vro.js';
+import { redactScript, redactValue } from './secrets-vro.js';
+import { largest, overBudget, sourceMetrics } from './metrics-vro.js';
+import { mermaidLabel, workflowDiagram } from './mermaid-vro.js';
+import { incrementalOptions, selectSources, writeIfChanged } from './incremental-vro.js';
+
+const config = await loadConfig();
+const OUT_DIR = config.output.workflows;
+const ACTIONS_OUT_DIR = config.output.actions;
+const DEPS_PAGE = config.output.dependencies;
+const METRICS_PAGE = config.output.metrics;
+const HTML = process.argv.includes('--html');
+
+let incremental;
+try {
+  incremental = incrementalOptions(process.argv);
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
 
 await fs.mkdir(OUT_DIR, { recursive: true });
 
 const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
 const fence = (code, lang = 'javascript') => `\`\`\`${lang}\n${code}\n\`\`\``;
+// Secrets found by the validator (secrets-vro.js) never reach the docs.
+const redact = (code) => redactScript(code, config.validate.secrets);
+const redactStored = (name, value) => redactValue(name, value, config.validate.secrets);
 const txt = (node) => {
   if (!node) return '';
   if (Array.isArray(node)) return txt(node[0]);   // <── nowa linia
   return typeof node === 'string' ? node : node._ ?? '';
 };
 
-
 function table(arr, cols) {
   if (!arr.length) return '';
   const header =
@@ -31,15 +65,102 @@ function table(arr, cols) {
   return header + rows + '\n';
 }
 
+const workflowPage = (name) => path.join(OUT_DIR, `${name.replace(/\s+/g, '_')}.md`);
+const linkTo = (from, page) => encodeURI(path.relative(from, page).split(path.sep).join('/'));
+
+// Site index entries and where their pages go inside the site – see buildSite().
+const siteEntries = [];
+// Folder a workflow is listed under: exported trees keep one directory per
+// workflow (…/Library/Create VM/workflow.xml), so that one is skipped.
+const folderOf = (file, entry) => {
+  if (entry) return path.basename(file);
+  const dir = path.dirname(path.relative('.', file));
+  return path.basename(file) === 'workflow.xml' ? path.dirname(dir) : dir;
+};
+
+// -----------------------------------------------------------------------------
+// ACTIONS – one page per action, written first so workflows can link to them
+// -----------------------------------------------------------------------------
+// Loose XML files and the contents of exported .package archives alike.
+const sources = await loadSources(config);
+const index = buildIndex(sources);
+let selection;
+try {
+  selection = await selectSources(sources, incremental, { config, tool: 'docs', callees: true });
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
+if (selection.note) console.log(`⚡  Incremental – ${selection.note}\n`);
+// Pages of everything else stay as they are (unless missing); links and the
+// site index still cover the whole repository.
+const selected = new Set(selection.sources);
+const skip = async (source, page) => !selected.has(source) && (await fs.access(page).then(() => true, () => false));
+const pages = { written: 0, unchanged: 0 };
+async function writePage(file, md) {
+  if (await writeIfChanged(file, md)) {
+    pages.written++;
+    console.log(`✔  ${file}`);
+  } else pages.unchanged++;
+}
+
+const actionSources = sources.filter((s) => s.kind === 'action');
+const actionPages = new Map(); // "module/name" → page path
+console.log(`📝  Generating docs for ${actionSources.filter((s) => selected.has(s)).length} action(s)\n`);
+
+for (const source of actionSources) {
+  if (!isAction(source.obj)) continue;
+  const action = actionMeta(source.obj);
+  const outPath = path.join(ACTIONS_OUT_DIR, action.module, `${action.name}.md`);
+  actionPages.set(action.fqn, outPath);
+  siteEntries.push({
+    kind: 'action',
+    name: action.fqn,
+    group: action.module,
+    description: action.description,
+    inputs: action.params,
+    md: outPath,
+    html: path.join('actions', action.module, `${action.name}.html`),
+  });
+  if (await skip(source, outPath)) continue;
+
+  let md = `# ${action.name} - Action Documentation\n\n`;
+
+  md += '<details>\n<summary><h2>Action Details</h2></summary>\n\n';
+  md += `- **Action Name:** ${action.name}\n`;
+  md += `- **Module:** \`${action.module}\`\n`;
+  md += `- **Action ID:** \`${action.id ?? 'n/a'}\`\n`;
+  md += `- **Version:** ${action.version ?? 'n/a'}\n`;
+  md += `- **Return Type:** ${action.returnType ?? 'void'}\n`;
+  md += `- **Description:** ${action.description || '_No description provided_'}\n`;
+  md += '</details>\n\n';
+
+  if (action.params.length)
+    md += '<details>\n<summary><h2>Action Inputs</h2></summary>\n\n' +
+      table(action.params, [
+        { key: 'name', header: 'Name' },
+        { key: 'type', header: 'Type' },
+        { key: 'description', header: 'Description' },
+      ]) +
+      '</details>\n\n';
+
+  if (action.script)
+    md += `## Script\n\n${fence(redact(action.script.trim()))}\n`;
+
+  await writePage(outPath, md);
+}
+
 // -----------------------------------------------------------------------------
 // MAIN
 // -----------------------------------------------------------------------------
-const files = await fg(GLOB, { dot: true });
-console.log(`📝  Generating docs for ${files.length} workflow(s)\n`);
+const workflowSources = sources.filter((s) => s.kind === 'workflow');
+let formErrors = 0;
+const failed = []; // labels with broken forms – regenerated by the next --changed run
+console.log(`📝  Generating docs for ${workflowSources.filter((s) => selected.has(s)).length} workflow(s)\n`);
 
-for (const xmlFile of files) {
+for (const source of workflowSources) {
+  const { file: xmlFile, entry, obj: wfObj } = source;
   // ---------- parse XML ------------------------------------------------------
-  const wfObj = await loadXml(xmlFile);
   const root = wfObj[Object.keys(wfObj)[0]]; // handle namespace prefix
 
   const wfName =
@@ -55,6 +176,18 @@ for (const xmlFile of files) {
   const items = collect(root['workflow-item']);
   const errorHandlers = collect(root['error-handler']);
 
+  const outPath = workflowPage(wfName);
+  siteEntries.push({
+    kind: 'workflow',
+    name: wfName,
+    group: folderOf(xmlFile, entry),
+    description: root.description?._ ?? '',
+    inputs: inputs.map((p) => ({ name: p.name, type: p.type, description: txt(p.description) })),
+    md: outPath,
+    html: path.join('workflows', `${path.basename(outPath, '.md')}.html`),
+  });
+  if (await skip(source, outPath)) continue;
+
   // gather linked modules / wf
   const linkedWorkflows = [];
   const linkedModules = [];
@@ -68,142 +201,139 @@ for (const xmlFile of files) {
     if (el['script-module']) linkedModules.push(el['script-module']);
   }
 
-// ---------- parse FORM JSON ----------------------------------------------
-let formProps = [];
-const formDir = path.join(path.dirname(xmlFile), 'forms');
-try {
-  const raw       = await fs.readFile(path.join(formDir, '_.json'), 'utf8');
-  const formJson  = JSON.parse(raw);
-  const schema    = formJson.schema || {};
-
-  
-  const fieldStates = {};
-  (formJson.layout?.pages || []).forEach(page => {
-    (page.sections || []).forEach(section => {
-      (section.fields || []).forEach(field => {
-        fieldStates[field.id] = field.state || {};
+  // ---------- parse FORM JSON ----------------------------------------------
+  let formProps = [];
+  // Elements read from a .package have no forms/ folder next to them. A missing
+  // form is fine; malformed JSON is reported and fails the run.
+  const form = entry ? null : await loadForm(xmlFile).catch((err) => {
+    console.error(`✖  ${err.message}`);
+    formErrors++;
+    failed.push(source.label);
+    return null;
+  });
+  if (form) {
+    const formJson  = form.json;
+    const schema    = formJson.schema || {};
+
+    const fieldStates = {};
+    (formJson.layout?.pages || []).forEach(page => {
+      (page.sections || []).forEach(section => {
+        (section.fields || []).forEach(field => {
+          fieldStates[field.id] = field.state || {};
+        });
       });
     });
-  });
-
-  
-  formProps = Object.values(schema).map(p => {
-   
-    let typeDesc = p.type.dataType;
-    if (p.type.isMultiple) typeDesc += '[]';
-
-    
-    let requiredDesc = 'Optional';
-    const req = p.constraints?.required;
-    if (Array.isArray(req)) {
-      requiredDesc = req
-        .map(cond => {
-          const opKey  = Object.keys(cond).find(k => k !== 'value');
-          const detail = cond[opKey];
-          const [field, exp] = Object.entries(detail)[0];
-          return `Required if ${field} ${opKey} ${exp}`;
-        })
-        .join('; ');
-    } else if (req === true) {
-      requiredDesc = 'Required';
-    }
-
-    
-    let patternDesc = '';
-    if (p.constraints?.pattern) {
-      const rawPatternDesc =  p.constraints.pattern.value;
-      const escapedPatterDesc = rawPatternDesc.replace(/\|/g, '\\|');
-      patternDesc = `\`${escapedPatterDesc}\``;
-    }
 
-    
-    let defaultDesc = 'n/a';
-    let defaultParams = '';
-    if (p.default) {
-      if (p.default.type === 'scriptAction') {
-        defaultDesc   = `Action: ${p.default.id}`;
-        
-        defaultParams = p.default.parameters
-          .map(par => {
-            const key = Object.keys(par).find(k => k !== '$type');
-            const val = par[key];
-            return `${key}→${val}`;
+    formProps = Object.values(schema).map(p => {
+      // Broken fields are reported by validate (form rule) – render what is there.
+      let typeDesc = p.type?.dataType ?? 'n/a';
+      if (p.type?.isMultiple) typeDesc += '[]';
+
+      let requiredDesc = 'Optional';
+      const req = p.constraints?.required;
+      if (Array.isArray(req)) {
+        requiredDesc = req
+          .map(cond => {
+            const opKey  = Object.keys(cond).find(k => k !== 'value');
+            const detail = cond[opKey];
+            const [field, exp] = Object.entries(detail ?? {})[0] ?? [];
+            return field === undefined ? 'Required (conditional)' : `Required if ${field} ${opKey} ${exp}`;
           })
-          .join(', ');
-      } else {
-        defaultDesc = JSON.stringify(p.default);
+          .join('; ');
+      } else if (req === true) {
+        requiredDesc = 'Required';
       }
-    }
-
-    
-    let listDesc = 'n/a';
-    if (Array.isArray(p.valueList)) {
-      listDesc = p.valueList.map(v => v.label || v.value).join(', ');
-    } else if (p.valueList?.type === 'scriptAction') {
-      listDesc = `Action: ${p.valueList.id}`;
-    }
 
-    
-    const signpost = (p.signpost || '').trim();
+      let patternDesc = '';
+      if (p.constraints?.pattern) {
+        const rawPatternDesc =  String(p.constraints.pattern.value ?? '');
+        const escapedPatterDesc = rawPatternDesc.replace(/\|/g, '\\|');
+        patternDesc = `\`${escapedPatterDesc}\``;
+      }
 
-    
-    const state = fieldStates[p.id] || {};
+      let defaultDesc = 'n/a';
+      let defaultParams = '';
+      if (p.default) {
+        if (p.default.type === 'scriptAction') {
+          defaultDesc   = `Action: ${p.default.id}`;
+
+          defaultParams = (p.default.parameters ?? [])
+            .map(par => {
+              const key = Object.keys(par).find(k => k !== '$type');
+              const val = redactStored(key, par[key]);
+              return `${key}→${val}`;
+            })
+            .join(', ');
+        } else {
+          // Secure strings are masked whatever they hold.
+          defaultDesc = JSON.stringify(p.type?.dataType === 'secureString' ? '********' : redactStored(p.id, p.default));
+        }
+      }
 
-    return {
-      id:          p.id,
-      label:       p.label,
-      type:        typeDesc,
-      required:    requiredDesc,
-      pattern:     patternDesc,
-      default:     defaultDesc,
-      params:      defaultParams,
-      valueList:   listDesc,
-      signpost,
-      state:       JSON.stringify(state)
-    };
-  });
+      let listDesc = 'n/a';
+      if (Array.isArray(p.valueList)) {
+        listDesc = p.valueList.map(v => v.label || v.value).join(', ');
+      } else if (p.valueList?.type === 'scriptAction') {
+        listDesc = `Action: ${p.valueList.id}`;
+      }
 
-} catch {
+      const signpost = (p.signpost || '').trim();
+
+      const state = fieldStates[p.id] || {};
+
+      return {
+        id:          p.id,
+        label:       p.label,
+        type:        typeDesc,
+        required:    requiredDesc,
+        pattern:     patternDesc,
+        default:     defaultDesc,
+        params:      defaultParams,
+        valueList:   listDesc,
+        signpost,
+        state:       JSON.stringify(state)
+      };
+    });
 
-}
+  }
 
   // ---------- build markdown -------------------------------------------------
   let md = `# ${wfName} - Workflow Documentation\n\n`;
 
   // details
-  md += `<details>\n<summary><h2>Workflow Details</h2></summary>\n\n`;
+  md += '<details>\n<summary><h2>Workflow Details</h2></summary>\n\n';
   md += `- **Workflow Name:** ${wfName}\n`;
   md += `- **Workflow ID:** \`${wfId}\`\n`;
   md += `- **Version:** ${wfVersion}\n`;
   md += `- **Description:** ${wfDesc}\n`;
-  md += `</details>\n\n`;
+  md += '</details>\n\n';
 
   if (attribs.length)
-    md += `<details>\n<summary><h2>Workflow Variables</h2></summary>\n\n` +
+    md += '<details>\n<summary><h2>Workflow Variables</h2></summary>\n\n' +
       table(attribs, [
         { key: 'name', header: 'Name' },
         { key: 'type', header: 'Type' },
       ]) +
-      `</details>\n\n`;
+      '</details>\n\n';
 
   if (inputs.length)
-    md += `<details>\n<summary><h2>Workflow Inputs</h2></summary>\n\n` +
+    md += '<details>\n<summary><h2>Workflow Inputs</h2></summary>\n\n' +
       table(inputs, [
         { key: 'name', header: 'Name' },
         { key: 'type', header: 'Type' },
       ]) +
-      `</details>\n\n`;
+      '</details>\n\n';
 
   if (outputs.length)
-    md += `<details>\n<summary><h2>Workflow Outputs</h2></summary>\n\n` +
+    md += '<details>\n<summary><h2>Workflow Outputs</h2></summary>\n\n' +
       table(outputs, [
         { key: 'name', header: 'Name' },
         { key: 'type', header: 'Type' },
       ]) +
-      `</details>\n\n`;
+      '</details>\n\n';
 
   if (formProps.length)
-    md += `<details>\n<summary><h2>Workflow Form</h2></summary>\n\n` +
+    md += '<details>\n<summary><h2>Workflow Form</h2></summary>\n\n' +
       table(formProps, [
         { key: 'id',       header: 'ID' },
         { key: 'label',    header: 'Label' },
@@ -216,20 +346,20 @@ try {
         { key: 'signpost', header: 'Signpost' },
         { key: 'state',    header: 'State' },
       ]) +
-      `</details>\n\n`;
+      '</details>\n\n';
 
   // elements
-  md += `<details>\n<summary><h2>Workflow Elements</h2></summary>\n\n`;
+  md += '<details>\n<summary><h2>Workflow Elements</h2></summary>\n\n';
   for (const el of items) {
     const elName = txt(el['display-name']) || el.name || 'unknown';
     md += `#### Element: ${elName}\n`;
     md += `- **Type:** ${el.type}\n`;
     md += `- **Description:** ${txt(el.description) || '_No description provided_'}\n`;
     md += `- **Element ID:** ${el.name}\n`;
-    
+
     const inB = collect(el['in-binding']?.bind);
     if (inB.length)
-      md += `\n**Input Bindings:**\n\n` +
+      md += '\n**Input Bindings:**\n\n' +
         table(inB, [
           { key: 'name', header: 'Variable Name' },
           { key: 'type', header: 'Type' },
@@ -238,7 +368,7 @@ try {
 
     const outB = collect(el['out-binding']?.bind);
     if (outB.length)
-      md += `\n**Output Bindings:**\n\n` +
+      md += '\n**Output Bindings:**\n\n' +
         table(outB, [
           { key: 'name', header: 'Variable Name' },
           { key: 'type', header: 'Type' },
@@ -246,80 +376,196 @@ try {
         ]);
 
     if (el.script?._)
-      md += `\n**Script:**\n\n${fence(el.script._.trim())}\n\n`;
+      md += `\n**Script:**\n\n${fence(redact(el.script._.trim()))}\n\n`;
 
     md += '\n\n---\n\n';
   }
-  md += `</details>\n\n`;
+  md += '</details>\n\n';
 
   // error handlers
-  md += `<details>\n<summary><h2>Error Handlers</h2></summary>\n\n`;
+  md += '<details>\n<summary><h2>Error Handlers</h2></summary>\n\n';
   if (errorHandlers.length) {
     for (const eh of errorHandlers)
       md += `- **Element Name:** ${eh.name} (throws: ${eh['throw-bind-name'] ?? '_None_'})\n`;
   } else md += '_No error handlers defined._\n';
-  md += `</details>\n\n`;
+  md += '</details>\n\n';
 
   // linked
-  md += `<details>\n<summary><h2>Linked Workflows</h2></summary>\n\n`;
+  md += '<details>\n<summary><h2>Linked Workflows</h2></summary>\n\n';
   if (linkedWorkflows.length)
-    linkedWorkflows.forEach((lw) =>
-      (md += `- **Name:** ${lw.name}, **ID:** \`${lw.id}\`\n`));
+    linkedWorkflows.forEach((lw) => {
+      const target = index.workflows.get(lw.id);
+      md += target
+        ? `- **Name:** [${target.name}](${linkTo(OUT_DIR, workflowPage(target.name))}), **ID:** \`${lw.id}\`\n`
+        : `- **Name:** ${lw.name}, **ID:** \`${lw.id}\` ⚠️ _not found in repository_\n`;
+    });
   else md += '_No linked workflows defined._\n';
-  md += `</details>\n\n`;
+  md += '</details>\n\n';
+
+  // callers
+  const callers = callersOf(index, wfId).filter((ref) => index.workflows.has(ref.from));
+  md += '<details>\n<summary><h2>Called By</h2></summary>\n\n';
+  if (callers.length)
+    callers.forEach((ref) => {
+      const caller = index.workflows.get(ref.from);
+      md += `- [${caller.name}](${linkTo(OUT_DIR, workflowPage(caller.name))}) – element "${ref.element}"\n`;
+    });
+  else md += '_Not called by any workflow in this repository._\n';
+  md += '</details>\n\n';
 
   if (linkedModules.length) {
-    md += `<details>\n<summary><h2>Linked Actions (script modules)</h2></summary>\n\n`;
-    linkedModules.forEach((m) => (md += `- \`${m}\`\n`));
-    md += `</details>\n\n`;
+    md += '<details>\n<summary><h2>Linked Actions (script modules)</h2></summary>\n\n';
+    linkedModules.forEach((m) => {
+      const page = actionPages.get(m);
+      md += page
+        ? `- [\`${m}\`](${linkTo(OUT_DIR, page)})\n`
+        : `- \`${m}\`\n`;
+    });
+    md += '</details>\n\n';
   }
 
-// ——— Mermaid diagram ———
-  md += '## Workflow Diagram\n\n';
-  md += '```mermaid\n';
-  md += 'flowchart LR\n';  
-
- 
-  items.forEach(el => {
-    const id    = el.name;                          
-    const label = txt(el['display-name']) || el.name;
-    md += `  ${id}["${label}"]\n`;
+  // ---------- diagram --------------------------------------------------------
+  const diagram = workflowDiagram(root, {
+    layout: config.docs.diagramLayout,
+    links: {
+      workflow: (id) => index.workflows.has(id) && linkTo(OUT_DIR, workflowPage(index.workflows.get(id).name)),
+      action: (fqn) => actionPages.has(fqn) && linkTo(OUT_DIR, actionPages.get(fqn)),
+    },
   });
+  md += `## Workflow Diagram\n\n${fence(diagram, 'mermaid')}\n\n`;
 
-  md += '\n'; 
-
-
-items.forEach(el => {
-  const src = el.name;
-
-  if (el.type === 'switch') {
-    const conds = collect(el.condition);
-    conds.forEach(c => {
-      const test = (typeof c._ === 'string' && c._.trim()) || c.name || '';
-      md += `  ${src} -- "${test}" --> ${c.label}\n`;
-    });
-  } else {
-    if (el['out-name'])     md += `  ${src} --> ${el['out-name']}\n`;
-    if (el['alt-out-name']) md += `  ${src} -.-> ${el['alt-out-name']}\n`;
-  }
+  // ---------- write file -----------------------------------------------------
+  await writePage(outPath, md);
+}
 
+// -----------------------------------------------------------------------------
+// DEPENDENCY GRAPH – whole repository on one page
+// -----------------------------------------------------------------------------
+const nodeIds = new Map();
+const nodeId = (kind, key) => {
+  if (!nodeIds.has(`${kind}|${key}`)) nodeIds.set(`${kind}|${key}`, `${kind[0]}${nodeIds.size}`);
+  return nodeIds.get(`${kind}|${key}`);
+};
 
-  if (el['catch-name']) {
-    md += `  ${src} -. "catch" .-> ${el['catch-name']}\n`;
-  }
-});
+let deps = '# Workflow Dependency Graph\n\n';
+deps += `${index.workflows.size} workflow(s), ${index.actions.size} action(s), ${index.references.length} reference(s).\n\n`;
+deps += '```mermaid\nflowchart LR\n';
+for (const wf of index.workflows.values()) deps += `  ${nodeId('workflow', wf.id)}[${mermaidLabel(wf.name)}]\n`;
+for (const action of index.actions.values()) deps += `  ${nodeId('action', action.fqn)}[[${mermaidLabel(action.fqn)}]]\n`;
+for (const ref of index.references) {
+  const from = nodeId(index.workflows.has(ref.from) ? 'workflow' : 'action', ref.from);
+  const to = nodeId(ref.resolved ? ref.kind : 'missing', ref.target);
+  if (!ref.resolved) deps += `  ${to}[${mermaidLabel(`missing ${ref.kind}: ${ref.target}`)}]:::missing\n`;
+  deps += `  ${from} --> ${to}\n`;
+}
+deps += '  classDef missing fill:#fdd,stroke:#c00\n```\n\n';
+
+deps += table(
+  [...index.workflows.values()].map((wf) => ({
+    name: `[${wf.name}](${linkTo(path.dirname(DEPS_PAGE), workflowPage(wf.name))})`,
+    calls: wf.references.map((r) => (r.kind === 'workflow' ? index.workflows.get(r.target)?.name ?? r.target : r.target)).join(', '),
+    callers: callersOf(index, wf.id).map((r) => index.workflows.get(r.from)?.name ?? r.from).join(', '),
+  })),
+  [
+    { key: 'name', header: 'Workflow' },
+    { key: 'calls', header: 'Calls' },
+    { key: 'callers', header: 'Called By' },
+  ]
+);
+
+await writePage(DEPS_PAGE, deps);
 
-  md += '```\n\n';
+// -----------------------------------------------------------------------------
+// METRICS – size & complexity of every workflow and action on one page
+// -----------------------------------------------------------------------------
+const { thresholds } = config.metrics;
+const budgetCell = (m) =>
+  overBudget(m, thresholds)
+    .map(({ metric, value, limit, script }) => `⚠️ ${metric} ${value} > ${limit}${script ? ` (${script.name})` : ''}`)
+    .join('<br>');
+const metricsDir = path.dirname(METRICS_PAGE);
+const workflowMetrics = [...index.workflows.values()].map((wf) => sourceMetrics(wf.source));
+const actionMetrics = [...index.actions.values()].map((action) => sourceMetrics(action.source));
+
+let metrics = '# Workflow Metrics\n\n';
+metrics += `Budgets from \`metrics.thresholds\`: ${Object.entries(thresholds)
+  .filter(([, limit]) => limit)
+  .map(([metric, limit]) => `${metric} ${limit}`)
+  .join(', ')}.\n\n`;
+metrics += '## Workflows\n\n';
+metrics += table(
+  workflowMetrics.map((m) => ({
+    name: `[${m.name}](${linkTo(metricsDir, workflowPage(m.name))})`,
+    elements: m.elements,
+    depth: m.depth,
+    branches: m.branches,
+    attribs: m.attribs,
+    params: `${m.inputs} / ${m.outputs}`,
+    scripts: m.scripts.length,
+    lines: largest(m, 'lines'),
+    complexity: largest(m, 'complexity'),
+    nesting: largest(m, 'nesting'),
+    over: budgetCell(m),
+  })),
+  [
+    { key: 'name', header: 'Workflow' },
+    { key: 'elements', header: 'Elements' },
+    { key: 'depth', header: 'Depth' },
+    { key: 'branches', header: 'Branches' },
+    { key: 'attribs', header: 'Attributes' },
+    { key: 'params', header: 'Inputs / Outputs' },
+    { key: 'scripts', header: 'Scripts' },
+    { key: 'lines', header: 'Max Lines' },
+    { key: 'complexity', header: 'Max Complexity' },
+    { key: 'nesting', header: 'Max Nesting' },
+    { key: 'over', header: 'Over Budget' },
+  ]
+) || '_No workflows._\n';
+metrics += '\n## Actions\n\n';
+metrics += table(
+  actionMetrics.map((m) => {
+    const page = actionPages.get(m.name);
+    const [script] = m.scripts;
+    return {
+      name: page ? `[\`${m.name}\`](${linkTo(metricsDir, page)})` : `\`${m.name}\``,
+      params: m.params,
+      lines: script?.lines ?? 0,
+      complexity: script?.complexity ?? '',
+      nesting: script?.nesting ?? '',
+      over: budgetCell(m),
+    };
+  }),
+  [
+    { key: 'name', header: 'Action' },
+    { key: 'params', header: 'Parameters' },
+    { key: 'lines', header: 'Lines' },
+    { key: 'complexity', header: 'Complexity' },
+    { key: 'nesting', header: 'Nesting' },
+    { key: 'over', header: 'Over Budget' },
+  ]
+) || '_No actions._\n';
+
+await writePage(METRICS_PAGE, metrics);
+console.log(`📄  ${pages.written} page(s) written, ${pages.unchanged} unchanged`);
+
+if (HTML) {
+  const site = await buildSite({
+    outDir: config.output.site,
+    pages: [
+      ...siteEntries.map(({ md, html }) => ({ md, html })),
+      { md: DEPS_PAGE, html: 'dependencies.html' },
+      { md: METRICS_PAGE, html: 'metrics.html' },
+    ],
+    entries: siteEntries,
+  });
+  console.log(`🌐  ${site.pages} page(s) – ${site.index}`);
+}
 
+await selection.commit(failed);
 
-  
-  // ---------- write file -----------------------------------------------------
-  const outPath = path.join(
-    OUT_DIR,
-    `${wfName.replace(/\\s+/g, '_')}.md`
-  );
-  await fs.writeFile(outPath, md, 'utf8');
-  console.log(`✔  ${outPath}`);
+if (formErrors > 0) {
+  console.error(`\n❌  ${formErrors} form file(s) could not be parsed.`);
+  process.exit(EXIT.FAILED);
 }
 
-console.log('\\n✅  Documentation generated (XML + local form JSON)');
+console.log('\n✅  Documentation generated (XML + local form JSON)');
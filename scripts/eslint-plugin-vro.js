@@ -0,0 +1,157 @@
+// scripts/eslint-plugin-vro.js – ESLint rules & profile for vRO embedded scripts
+// -----------------------------------------------------------------------------
+// • vRO runs scripts on Mozilla Rhino, which only understands ES5 (plus const).
+//   `vro/no-unsupported-syntax` reports every newer construct individually
+//   instead of stopping at the first parsing error.
+// • `vro/assign-out-bindings` reports out-bindings a script never assigns.
+//   The binding names come from `settings.vro.outBindings`, which
+//   lint-workflow.js sets per element together with the binding globals.
+// • `configs.rhino` is the lint profile for scripts extracted from workflow
+//   XML: classic (non-module) script with top-level return, vRO globals.
+// -----------------------------------------------------------------------------
+
+// Objects the vRO scripting runtime injects into every script.
+export const VRO_GLOBALS = {
+  System: 'readonly',
+  Server: 'readonly',
+  LockingSystem: 'readonly',
+  Config: 'readonly',
+  workflow: 'readonly',
+  Properties: 'readonly',
+  Workflow: 'readonly',
+  WorkflowToken: 'readonly',
+  XMLManager: 'readonly',
+  Command: 'readonly',
+  File: 'readonly',
+  FileReader: 'readonly',
+  FileWriter: 'readonly',
+  URL: 'readonly',
+};
+
+// Globals for one element: in-bindings are read-only, out-bindings writable
+// (a variable bound both ways is writable).
+export function bindingGlobals(inBindings = [], outBindings = []) {
+  const globals = {};
+  for (const name of inBindings) globals[name] = 'readonly';
+  for (const name of outBindings) globals[name] = 'writable';
+  return globals;
+}
+
+const FUNCTION_NODES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+const noUnsupportedSyntax = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Disallow syntax the vRO Rhino engine (ES5) cannot run' },
+    schema: [],
+    messages: {
+      unsupported: '{{feature}} are not supported by the vRO JavaScript runtime (Rhino/ES5).',
+    },
+  },
+  create(context) {
+    const report = (node, feature) =>
+      context.report({ node, messageId: 'unsupported', data: { feature } });
+
+    const checkFunction = (node) => {
+      if (node.async) report(node, 'Async functions');
+      if (node.generator) report(node, 'Generators');
+      for (const p of node.params) {
+        if (p.type === 'AssignmentPattern') report(p, 'Default parameters');
+      }
+    };
+
+    return {
+      ArrowFunctionExpression: (node) => report(node, 'Arrow functions'),
+      TemplateLiteral: (node) => report(node, 'Template literals'),
+      'ClassDeclaration, ClassExpression': (node) => report(node, 'Classes'),
+      'ObjectPattern, ArrayPattern': (node) => report(node, 'Destructuring assignments'),
+      ForOfStatement: (node) => report(node, 'for...of loops'),
+      SpreadElement: (node) => report(node, 'Spread expressions'),
+      RestElement: (node) => report(node, 'Rest parameters'),
+      ChainExpression: (node) => report(node, 'Optional chaining expressions'),
+      MetaProperty: (node) => report(node, 'Meta properties (new.target)'),
+      ImportExpression: (node) => report(node, 'Dynamic imports'),
+      [FUNCTION_NODES.join(', ')]: checkFunction,
+      Property(node) {
+        if (node.parent.type !== 'ObjectExpression') return;
+        // ES5 getters/setters (kind get/set) are fine.
+        if (node.method) report(node, 'Method shorthands');
+        else if (node.shorthand) report(node, 'Shorthand properties');
+        if (node.computed) report(node, 'Computed property names');
+      },
+      LogicalExpression(node) {
+        if (node.operator === '??') report(node, 'Nullish coalescing operators');
+      },
+      AssignmentExpression(node) {
+        if (['||=', '&&=', '??='].includes(node.operator)) report(node, 'Logical assignments');
+        if (node.operator === '**=') report(node, 'Exponentiation operators');
+      },
+      BinaryExpression(node) {
+        if (node.operator === '**') report(node, 'Exponentiation operators');
+      },
+      Literal(node) {
+        if (typeof node.bigint === 'string') report(node, 'BigInt literals');
+        if (node.regex && /[uys]/.test(node.regex.flags)) report(node, 'Regular expression flags u/y/s');
+      },
+    };
+  },
+};
+
+const assignOutBindings = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Require every out-binding of an element to be assigned by its script' },
+    schema: [],
+    messages: {
+      unassigned: 'Out-binding "{{name}}" is never assigned in this script.',
+    },
+  },
+  create(context) {
+    const names = context.settings?.vro?.outBindings ?? [];
+    const sourceCode = context.sourceCode ?? context.getSourceCode();
+
+    return {
+      'Program:exit'(node) {
+        const scope = sourceCode.getScope(node);
+        for (const name of names) {
+          const variable = scope.set.get(name);
+          const refs = variable ? variable.references : scope.through.filter((r) => r.identifier.name === name);
+          const assigned =
+            refs.some((r) => r.isWrite()) || (variable?.defs.some((d) => d.node.init) ?? false);
+          if (!assigned) {
+            context.report({ node, loc: { line: 1, column: 0 }, messageId: 'unassigned', data: { name } });
+          }
+        }
+      },
+    };
+  },
+};
+
+const plugin = {
+  meta: { name: 'eslint-plugin-vro' },
+  rules: {
+    'no-unsupported-syntax': noUnsupportedSyntax,
+    'assign-out-bindings': assignOutBindings,
+  },
+  configs: {},
+};
+
+// Parse with the latest grammar so that modern syntax surfaces as readable
+// rule violations, but as a classic script: vRO actions end with `return`.
+plugin.configs.rhino = {
+  plugins: { vro: plugin },
+  languageOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    parserOptions: { ecmaFeatures: { globalReturn: true } },
+    globals: VRO_GLOBALS,
+  },
+  rules: {
+    'vro/no-unsupported-syntax': 'error',
+    'vro/assign-out-bindings': 'error',
+    'no-undef': 'error',          // typos and variables that are not bound
+    'no-global-assign': 'error',  // reassigned in-bindings / runtime objects
+  },
+};
+
+export default plugin;
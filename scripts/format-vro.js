@@ -0,0 +1,116 @@
+// scripts/format-vro.js – canonical form of workflow & action XML
+// -----------------------------------------------------------------------------
+// • Line breaks are LF, indentation is two spaces per level, the declaration
+//   is <?xml version="1.0" encoding="UTF-8"?> and the file ends with a newline.
+// • Attributes: namespace declarations, then the identifying ones (name, n,
+//   id, type, t), then the rest alphabetically.
+// • Children whose order means nothing to vRO are sorted: the sections of a
+//   <workflow> and of its items by the order vRO exports them in, items,
+//   error handlers and attributes by name (item2 before item10). Parameters,
+//   bindings and conditions keep their order – it is their signature.
+// • Script bodies are one CDATA section, whether they were CDATA, escaped
+//   text or several sections.
+// • Text content, comments and everything else keep their value – only
+//   whitespace between elements changes (see parseXmlTree / writeXml).
+// -----------------------------------------------------------------------------
+
+import { parseXmlTree, writeXml } from './parse-vro.js';
+
+const INDENT = '  ';
+const DECLARATION = { type: 'instruction', name: 'xml', value: 'version="1.0" encoding="UTF-8"' };
+
+const ATTRIBUTE_RANK = ['name', 'n', 'id', 'type', 't'];
+
+// Child order per parent element (local name): known tags by rank, unknown
+// ones after them in their original order; `sortBy` orders same-tag
+// siblings by an attribute.
+const CHILD_ORDER = {
+  workflow: {
+    tags: ['display-name', 'description', 'ref-types', 'position', 'input', 'output', 'attrib', 'workflow-item', 'error-handler', 'presentation'],
+    sortBy: { attrib: 'name', 'workflow-item': 'name', 'error-handler': 'name' },
+  },
+  'workflow-item': {
+    tags: ['display-name', 'script', 'in-binding', 'out-binding', 'condition', 'description', 'presentation', 'position'],
+  },
+  'error-handler': {
+    tags: ['display-name', 'script', 'in-binding', 'out-binding', 'description', 'position'],
+  },
+  attrib: { tags: ['value', 'description'] },
+};
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+const isBlank = (node) => node.type === 'text' && !node.value.trim();
+const byName = new Intl.Collator('en', { numeric: true }).compare;
+
+function attributeRank([name]) {
+  if (name === 'xmlns' || name.startsWith('xmlns:')) return -1;
+  const rank = ATTRIBUTE_RANK.indexOf(name);
+  return rank === -1 ? ATTRIBUTE_RANK.length : rank;
+}
+
+function sortChildren(element, children) {
+  const order = CHILD_ORDER[localName(element.name)];
+  if (!order) return children;
+  const rank = (node) => {
+    const i = node.type === 'element' ? order.tags.indexOf(localName(node.name)) : -1;
+    return i === -1 ? order.tags.length : i;
+  };
+  const key = (node) => {
+    const attribute = node.type === 'element' && order.sortBy?.[localName(node.name)];
+    return attribute ? node.attributes.find(([name]) => name === attribute)?.[1] ?? '' : '';
+  };
+  // Comments stay attached to the element that follows them.
+  const groups = [];
+  let pending = [];
+  for (const node of children) {
+    if (node.type === 'comment') pending.push(node);
+    else {
+      groups.push({ node, nodes: [...pending, node] });
+      pending = [];
+    }
+  }
+  groups.sort((a, b) => rank(a.node) - rank(b.node) || byName(key(a.node), key(b.node)));
+  return [...groups.flatMap((g) => g.nodes), ...pending];
+}
+
+function canonicalElement(element, depth) {
+  const attributes = [...element.attributes].sort((a, b) => attributeRank(a) - attributeRank(b) || (a[0] < b[0] ? -1 : 1));
+
+  if (localName(element.name) === 'script' && element.children.every((n) => n.type === 'text' || n.type === 'cdata')) {
+    const code = element.children.map((n) => n.value).join('');
+    return { ...element, attributes, selfClosing: false, children: [{ type: 'cdata', value: code }] };
+  }
+
+  // Text content – or text mixed with elements – is left as it is.
+  const structural = element.children.some((n) => n.type === 'element' || n.type === 'comment');
+  if (!structural || element.children.some((n) => (n.type === 'text' && !isBlank(n)) || n.type === 'cdata')) {
+    const children = element.children.map((n) => (n.type === 'element' ? canonicalElement(n, depth + 1) : n));
+    return { ...element, attributes, selfClosing: children.length === 0, children };
+  }
+
+  const children = sortChildren(element, element.children.filter((n) => !isBlank(n)));
+  const inner = `\n${INDENT.repeat(depth + 1)}`;
+  return {
+    ...element,
+    attributes,
+    selfClosing: false,
+    children: [
+      ...children.flatMap((n) => [{ type: 'text', value: inner }, n.type === 'element' ? canonicalElement(n, depth + 1) : n]),
+      { type: 'text', value: `\n${INDENT.repeat(depth)}` },
+    ],
+  };
+}
+
+// The canonical text of an XML document; throws on XML that does not parse.
+export function formatXml(text) {
+  // What every XML parser does with line breaks anyway.
+  const tree = parseXmlTree(text.replace(/\r\n?/g, '\n'));
+  const children = tree.children
+    .filter((n) => !isBlank(n))
+    .map((n) => {
+      if (n.type === 'element') return canonicalElement(n, 0);
+      return n.type === 'instruction' && n.name === 'xml' ? DECLARATION : n;
+    });
+  if (children[0] !== DECLARATION) children.unshift(DECLARATION);
+  return `${children.map(writeXml).join('\n')}\n`;
+}
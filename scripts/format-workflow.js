@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+// format-workflow.js – rewrites workflow & action XML into canonical form
+// -----------------------------------------------------------------------------
+// • Takes file paths as arguments (default: include.workflows and
+//   include.actions from vro-ci.config.json, or VRO_GLOB / VRO_ACTION_GLOB).
+// • Canonical form: stable attribute and child order, two-space indentation,
+//   scripts in one CDATA section, UTF-8 – see format-vro.js. Exporting the same
+//   workflow twice then gives the same file, so diffs show real changes only.
+// • Only files that are not canonical yet are written. Exported .package
+//   archives are left alone.
+// • --check writes nothing, lists the files that would change and exits with
+//   code 1 if there are any – for CI.
+// • --since <ref> takes only the workflows & actions changed since a git ref
+//   (untracked ones included), so existing content can be formatted one
+//   change at a time instead of all at once.
+// • XML that does not parse is reported and fails the run.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { formatXml } from './format-vro.js';
+import { decodeText } from './parse-vro.js';
+import { changedFiles } from './git-vro.js';
+import { writeIfChanged } from './incremental-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+const argv = process.argv.slice(2);
+const CHECK = argv.includes('--check');
+const at = argv.indexOf('--since');
+const since = at === -1 ? undefined : argv[at + 1];
+const args = argv.filter((a, i) => !a.startsWith('--') && (at === -1 || i !== at + 1));
+if (at !== -1 && (!since || since.startsWith('--') || args.length)) {
+  console.error('Usage: node scripts/format-workflow.js [--check] [--since <ref> | <file>…]');
+  process.exit(EXIT.USAGE);
+}
+
+const config = await loadConfig();
+const patterns = [...config.include.workflows, ...config.include.actions];
+let files = args;
+if (since) {
+  try {
+    const changed = await changedFiles(since, undefined, patterns, config.exclude);
+    // Deleted files are listed as changed too.
+    const exists = await Promise.all(changed.map((f) => fs.access(f).then(() => true, () => false)));
+    files = changed.filter((f, i) => exists[i]).sort();
+  } catch (err) {
+    console.error(`❌  cannot compare with ${since} – ${err.stderr?.trim() || err.message}`);
+    process.exit(EXIT.USAGE);
+  }
+  if (files.length === 0) {
+    console.log(`✅  No workflow or action changed since ${since}.`);
+    process.exit(EXIT.OK);
+  }
+} else if (!args.length) {
+  files = (await fg(patterns, { dot: true, ignore: config.exclude })).sort();
+}
+
+if (files.length === 0) {
+  console.error('No workflow or action files found – pass a path or check include.workflows / include.actions.');
+  process.exit(EXIT.USAGE);
+}
+
+console.log(`🧹  ${CHECK ? 'Checking' : 'Formatting'} ${files.length} file(s)\n`);
+
+// First line where the file and its canonical form differ.
+const firstDifference = (a, b) => {
+  const [left, right] = [a.split('\n'), b.split('\n')];
+  const i = left.findIndex((line, n) => line !== right[n]);
+  return i === -1 ? right.length : i + 1;
+};
+
+const changed = [];
+const broken = [];
+for (const file of files) {
+  const label = path.relative('.', file);
+  let bytes;
+  let text;
+  let formatted;
+  try {
+    bytes = await fs.readFile(file);
+    text = decodeText(bytes);
+    formatted = formatXml(text);
+  } catch (err) {
+    broken.push(label);
+    console.error(`${label}: ❌  ${err.message}`);
+    continue;
+  }
+  // Byte for byte – a UTF-16 file or a byte order mark is not canonical.
+  if (Buffer.from(formatted, 'utf8').equals(bytes)) continue;
+
+  changed.push(label);
+  if (CHECK) {
+    console.log(`${label}: not canonical from line ${firstDifference(text, formatted)}`);
+  } else {
+    await writeIfChanged(file, formatted);
+    console.log(`✎  ${label}`);
+  }
+}
+
+if (broken.length > 0) {
+  console.error(`\n❌  ${broken.length} file(s) could not be parsed.`);
+  process.exit(EXIT.FAILED);
+}
+if (CHECK && changed.length > 0) {
+  console.error(`\n❌  ${changed.length} file(s) are not in canonical form – run node scripts/format-workflow.js`);
+  process.exit(EXIT.FAILED);
+}
+console.log(changed.length && !CHECK
+  ? `\n✅  ${changed.length} file(s) formatted, ${files.length - changed.length} already canonical.`
+  : '✅  All files are in canonical form.');
@@ -0,0 +1,164 @@
+// scripts/forms-vro.js – custom form JSON (forms/_.json) next to a workflow
+// -----------------------------------------------------------------------------
+// • loadForm()  – reads the form of a workflow; null when there is none,
+//                 throws when the JSON is malformed.
+// • checkForm() – cross-checks schema, layout and constraints against the
+//                 workflow inputs and the actions available in the repo.
+// • formSkeleton() – a form with one field per input, for new workflows.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+
+export function formPath(workflowFile) {
+  return path.join(path.dirname(workflowFile), 'forms', '_.json');
+}
+
+export async function loadForm(workflowFile) {
+  const file = formPath(workflowFile);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return { file, json: JSON.parse(raw) };
+  } catch (err) {
+    throw new Error(`${file}: malformed form JSON – ${err.message}`);
+  }
+}
+
+// Every layout field id, across pages and sections.
+export function layoutFields(formJson) {
+  return (formJson.layout?.pages ?? []).flatMap((page) =>
+    (page.sections ?? []).flatMap((section) => section.fields ?? []));
+}
+
+// Form dataType for a vRO input type: Array/<T> maps to <T> with isMultiple,
+// plug-in types ("VC:VirtualMachine") to references. Unknown → undefined.
+const DATA_TYPES = {
+  string: ['string'],
+  SecureString: ['secureString'],
+  number: ['decimal', 'integer'],
+  boolean: ['boolean'],
+  Date: ['dateTime', 'date'],
+  Properties: ['properties'],
+};
+
+function expectedType(vroType) {
+  const multiple = vroType.startsWith('Array/');
+  const base = multiple ? vroType.slice('Array/'.length) : vroType;
+  if (DATA_TYPES[base]) return { multiple, dataTypes: DATA_TYPES[base] };
+  if (base.includes(':')) return { multiple, dataTypes: ['reference'], referenceType: base };
+  if (base.startsWith('CompositeType')) return { multiple, dataTypes: ['complex'] };
+  return { multiple };
+}
+
+// `root` is the <workflow> element, `actions` a Set/Map keyed by
+// "module/action". Returns human-readable problems.
+export function checkForm(formJson, root, actions) {
+  const problems = [];
+  const schema = formJson.schema ?? {};
+  const inputs = new Map(collect(root.input?.param).map((p) => [p.name, p.type]));
+
+  for (const [key, field] of Object.entries(schema)) {
+    const id = field.id ?? key;
+    const vroType = inputs.get(id);
+
+    if (!field.type?.dataType) problems.push(`form field "${id}" has no type.dataType`);
+    if (!inputs.has(id)) {
+      problems.push(`form field "${id}" does not match any workflow input`);
+    } else if (vroType && field.type) {
+      const expected = expectedType(vroType);
+      if (expected.dataTypes && !expected.dataTypes.includes(field.type.dataType)) {
+        problems.push(`form field "${id}" has dataType ${field.type.dataType} but input is ${vroType}`);
+      }
+      if (Boolean(field.type.isMultiple) !== expected.multiple) {
+        problems.push(`form field "${id}" isMultiple=${Boolean(field.type.isMultiple)} but input is ${vroType}`);
+      }
+      if (expected.referenceType && field.type.referenceType && field.type.referenceType !== expected.referenceType) {
+        problems.push(`form field "${id}" references ${field.type.referenceType} but input is ${vroType}`);
+      }
+    }
+
+    const required = field.constraints?.required;
+    for (const cond of Array.isArray(required) ? required : []) {
+      for (const [op, detail] of Object.entries(cond)) {
+        if (op === 'value' || typeof detail !== 'object' || detail === null) continue;
+        for (const ref of Object.keys(detail)) {
+          if (!(ref in schema)) problems.push(`form field "${id}" is required depending on unknown field "${ref}"`);
+        }
+      }
+    }
+
+    for (const [what, source] of [['default', field.default], ['value list', field.valueList]]) {
+      if (source?.type === 'scriptAction' && !actions.has(source.id)) {
+        problems.push(`form field "${id}" ${what} uses action ${source.id} that is not in the repository`);
+      }
+      if (source?.type === 'scriptAction' && !Array.isArray(source.parameters)) {
+        problems.push(`form field "${id}" ${what} action ${source.id} has no parameters list`);
+      }
+    }
+  }
+
+  for (const field of layoutFields(formJson)) {
+    if (field.id && !(field.id in schema)) {
+      problems.push(`form layout field "${field.id}" has no schema entry`);
+    }
+  }
+  return problems;
+}
+
+// Input widget per form dataType; anything else gets a text field.
+const DISPLAY = {
+  secureString: 'passwordField',
+  decimal: 'decimalField',
+  boolean: 'checkbox',
+  dateTime: 'datetime',
+  reference: 'valuePicker',
+  properties: 'datagrid',
+  complex: 'datagrid',
+};
+
+// `inputs` as [{ name, type, description, required }] – one page, one
+// section, fields in input order. checkForm() accepts the result.
+export function formSkeleton(inputs) {
+  const schema = {};
+  for (const input of inputs) {
+    const expected = expectedType(input.type);
+    const dataType = expected.dataTypes?.[0] ?? 'string';
+    schema[input.name] = {
+      id: input.name,
+      type: {
+        dataType,
+        isMultiple: expected.multiple,
+        ...(expected.referenceType ? { referenceType: expected.referenceType } : {}),
+      },
+      label: input.name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, (c) => c.toUpperCase()),
+      description: input.description,
+      constraints: input.required ? { required: true } : {},
+    };
+  }
+  return {
+    layout: {
+      pages: [{
+        id: 'page_general',
+        title: 'General',
+        sections: [{
+          id: 'section_inputs',
+          fields: Object.values(schema).map(({ id, type }) => ({
+            id,
+            display: DISPLAY[type.dataType] ?? 'textField',
+            signpostPosition: 'right-middle',
+          })),
+        }],
+      }],
+    },
+    schema,
+    options: { externalValidations: [] },
+  };
+}
@@ -0,0 +1,74 @@
+// scripts/git-vro.js – thin wrappers around the git CLI
+// -----------------------------------------------------------------------------
+// • showFile()      – content of a file at a given ref (null if it is absent)
+// • changedFiles()  – paths changed between two refs (or ref and worktree,
+//                     untracked files included)
+// • untrackedFiles() – new files git does not know about yet
+// • filesAt()       – every file at a ref
+// • verifyRef()     – fails with a readable message for an unknown ref
+// -----------------------------------------------------------------------------
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const MAX_BUFFER = 64 * 1024 * 1024; // large workflows exceed the 1 MB default
+
+async function git(args) {
+  const { stdout } = await run('git', args, { maxBuffer: MAX_BUFFER });
+  return stdout;
+}
+
+// Paths in git are always "/"-separated and relative to the repo root, like
+// the ones changedFiles() returns – run the tools from the repository root.
+export async function showFile(ref, file) {
+  try {
+    return await git(['show', `${ref}:${file.split('\\').join('/')}`]);
+  } catch {
+    return null;
+  }
+}
+
+// showFile() cannot tell an unknown ref from a missing file – check refs
+// given on the command line first. Shallow CI clones often lack the base.
+export async function verifyRef(ref) {
+  try {
+    await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch {
+    throw new Error(`unknown ref ${ref} – misspelled, or not fetched (fetch-depth: 0 in CI)`);
+  }
+}
+
+const pathspecs = (patterns, exclude) => [
+  ...patterns.map((p) => `:(glob)${p}`),
+  ...exclude.map((p) => `:(glob,exclude)${p}`),
+];
+
+// `head` undefined compares against the working tree – untracked files count
+// as changed then, `git diff` alone does not list new files. `patterns` and
+// `exclude` are git pathspec globs such as "**/*workflow.xml".
+export async function changedFiles(base, head, patterns = [], exclude = []) {
+  const range = head ? [base, head] : [base];
+  const [diffed, untracked] = await Promise.all([
+    git(['diff', '--name-only', '--no-renames', ...range, '--', ...pathspecs(patterns, exclude)]),
+    head ? [] : untrackedFiles(patterns, exclude),
+  ]);
+  return [...new Set([...diffed.split('\n').filter(Boolean), ...untracked])];
+}
+
+// Files in the working tree that are neither tracked nor ignored – changes
+// `git diff` cannot see.
+export async function untrackedFiles(patterns = [], exclude = []) {
+  const out = await git(['ls-files', '--others', '--exclude-standard', '--', ...pathspecs(patterns, exclude)]);
+  return out.split('\n').filter(Boolean);
+}
+
+// Same hash in every SHA-1 repository.
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Files below `patterns` at `ref` – `git ls-tree` knows no glob pathspecs,
+// a diff against the empty tree does.
+export async function filesAt(ref, patterns = [], exclude = []) {
+  const out = await git(['diff', '--name-only', '--no-renames', EMPTY_TREE, ref, '--', ...pathspecs(patterns, exclude)]);
+  return out.split('\n').filter(Boolean);
+}
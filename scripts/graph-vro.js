@@ -0,0 +1,161 @@
+// scripts/graph-vro.js – workflow schema as a directed graph
+// -----------------------------------------------------------------------------
+// • Nodes are <workflow-item> and <error-handler> elements keyed by `name`.
+// • Edges come from out-name, alt-out-name, catch-name and switch condition
+//   labels – the same attributes docs-workflow.js draws in Mermaid.
+// • checkGraph() reports unreachable items, dangling edges, items without an
+//   outgoing transition, items with no path to an end item, switches without
+//   a default branch and cycles without an exit, as { message, node } –
+//   `node` is the element concerned, when there is one.
+// -----------------------------------------------------------------------------
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+
+export function buildGraph(root) {
+  const items = collect(root['workflow-item']);
+  const handlers = collect(root['error-handler']);
+
+  const nodes = new Map();
+  for (const el of items) nodes.set(el.name, { el, kind: 'item' });
+  for (const el of handlers) nodes.set(el.name, { el, kind: 'error-handler' });
+
+  const edges = [];
+  for (const [from, { el }] of nodes) {
+    if (el.type === 'switch') {
+      for (const c of collect(el.condition)) {
+        if (c?.label) edges.push({ from, to: c.label, kind: 'condition', label: c._ ?? '' });
+      }
+    }
+    if (el['out-name']) edges.push({ from, to: el['out-name'], kind: 'out' });
+    if (el['alt-out-name']) edges.push({ from, to: el['alt-out-name'], kind: 'alt' });
+    if (el['catch-name']) edges.push({ from, to: el['catch-name'], kind: 'catch' });
+  }
+
+  // Older exports carry an explicit start item, newer ones only root-name.
+  const start =
+    root['root-name'] ??
+    items.find((el) => el.type === 'start')?.name ??
+    items.find((el) => el.type !== 'end')?.name;
+
+  return { start, nodes, edges, entries: [start, ...handlers.map((h) => h.name)].filter(Boolean) };
+}
+
+function successors(graph) {
+  const next = new Map([...graph.nodes.keys()].map((n) => [n, []]));
+  for (const e of graph.edges) if (graph.nodes.has(e.to)) next.get(e.from).push(e.to);
+  return next;
+}
+
+function predecessors(graph) {
+  const prev = new Map([...graph.nodes.keys()].map((n) => [n, []]));
+  for (const e of graph.edges) if (graph.nodes.has(e.to)) prev.get(e.to).push(e.from);
+  return prev;
+}
+
+function reachable(from, next) {
+  const seen = new Set();
+  const stack = [...from];
+  while (stack.length) {
+    const n = stack.pop();
+    if (seen.has(n) || !next.has(n)) continue;
+    seen.add(n);
+    stack.push(...next.get(n));
+  }
+  return seen;
+}
+
+// Tarjan's strongly connected components.
+function components(next) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const result = [];
+  let counter = 0;
+
+  const visit = (v) => {
+    index.set(v, counter);
+    low.set(v, counter++);
+    stack.push(v);
+    onStack.add(v);
+    for (const w of next.get(v)) {
+      if (!index.has(w)) {
+        visit(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), index.get(w)));
+      }
+    }
+    if (low.get(v) === index.get(v)) {
+      const scc = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        scc.push(w);
+      } while (w !== v);
+      result.push(scc);
+    }
+  };
+
+  for (const v of next.keys()) if (!index.has(v)) visit(v);
+  return result;
+}
+
+export function checkGraph(graph) {
+  const problems = [];
+  const el = (name) => graph.nodes.get(name)?.el;
+  const label = (name) => `"${el(name)?.['display-name']?._ ?? name}"`;
+
+  if (!graph.start || !graph.nodes.has(graph.start)) {
+    problems.push({ message: `root item "${graph.start ?? 'n/a'}" does not exist` });
+  }
+
+  for (const e of graph.edges) {
+    if (!graph.nodes.has(e.to)) {
+      problems.push({ message: `workflow-item ${label(e.from)} ${e.kind} link points to missing element "${e.to}"`, node: el(e.from) });
+    }
+  }
+
+  const next = successors(graph);
+  const visited = reachable(graph.entries, next);
+  for (const name of graph.nodes.keys()) {
+    if (!visited.has(name)) problems.push({ message: `workflow-item ${label(name)} is not reachable from the root item`, node: el(name) });
+  }
+
+  for (const [name, { el: node }] of graph.nodes) {
+    if (node.type === 'end') continue;
+    const exits = graph.edges.filter((e) => e.from === name && e.kind !== 'catch');
+    if (exits.length === 0) problems.push({ message: `workflow-item ${label(name)} has no outgoing transition`, node });
+    if (node.type === 'switch' && !node['out-name']) {
+      problems.push({ message: `switch ${label(name)} has no default branch`, node });
+    }
+  }
+
+  const exitless = new Set();
+  for (const scc of components(next)) {
+    const members = new Set(scc);
+    const cyclic = scc.length > 1 || next.get(scc[0]).includes(scc[0]);
+    if (!cyclic) continue;
+    const exits = scc.some((n) =>
+      graph.nodes.get(n).el.type === 'end' || next.get(n).some((m) => !members.has(m)));
+    if (exits) continue;
+    problems.push({ message: `cycle without exit: ${scc.map(label).join(' → ')}`, node: el(scc[0]) });
+    scc.forEach((n) => exitless.add(n));
+  }
+
+  // Everything that leads to an end item, walking the edges backwards. A
+  // dangling link is reported above and may well lead to one.
+  const ends = [...graph.nodes.keys()].filter((n) =>
+    el(n).type === 'end' || graph.edges.some((e) => e.from === n && !graph.nodes.has(e.to)));
+  const finishing = reachable(ends, predecessors(graph));
+  for (const name of visited) {
+    // Reported already: no transition (end items finish anyway), or a cycle
+    // without exit.
+    const dead = !graph.edges.some((e) => e.from === name && e.kind !== 'catch');
+    if (finishing.has(name) || exitless.has(name) || dead) continue;
+    problems.push({ message: `workflow-item ${label(name)} has no path to an end item`, node: el(name) });
+  }
+
+  return problems;
+}
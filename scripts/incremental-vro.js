@@ -0,0 +1,181 @@
+// scripts/incremental-vro.js – process only what changed
+// -----------------------------------------------------------------------------
+// • --since <ref>  workflows & actions changed since a git ref – committed,
+//                  staged, modified or untracked.
+// • --changed      workflows & actions whose content differs from the last
+//                  run of the same tool (state in <cache>/<tool>.json).
+// • A workflow changes with its forms/_.json, a .package with its elements.
+//   The selection grows by every workflow or action that references a
+//   changed one – a link or binding may be broken now; docs also take what a
+//   changed one references (their "Called By" lists).
+// • When the tools, the config or the tool's own settings files (ESLint
+//   config, rule modules) changed, everything is selected.
+// • writeIfChanged() leaves files that already hold the right content alone,
+//   so regenerated docs only touch pages whose output changed.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { CONFIG_FILE } from './config-vro.js';
+import { actionMeta, contentHash, isAction, parseXml } from './parse-vro.js';
+import { buildIndex } from './deps-vro.js';
+import { formPath } from './forms-vro.js';
+import { changedFiles, showFile } from './git-vro.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const toGitPath = (p) => path.relative('.', p).split(path.sep).join('/');
+
+// Parses --since <ref> and --changed; null means a full run. Throws on misuse.
+export function incrementalOptions(argv) {
+  const at = argv.indexOf('--since');
+  const changed = argv.includes('--changed');
+  if (at !== -1 && (!argv[at + 1] || argv[at + 1].startsWith('--'))) throw new Error('--since needs a git ref');
+  if (at !== -1 && changed) throw new Error('use either --since <ref> or --changed');
+  if (at !== -1) return { since: argv[at + 1] };
+  return changed ? { changed: true } : null;
+}
+
+// Writes `content` (text or Buffer) unless the file already holds exactly
+// that. Returns true when the file was written.
+export async function writeIfChanged(file, content) {
+  const current = await fs.readFile(file).catch(() => null);
+  if (current?.equals(Buffer.from(content))) return false;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+  return true;
+}
+
+// What references point at: the workflow id or the action "module/name".
+const keyOf = ({ label, obj }) => (isAction(obj) ? actionMeta(obj).fqn : obj[Object.keys(obj)[0]]?.id ?? label);
+
+// The key of a document and everything it references.
+function describe({ kind, label, obj }) {
+  const { references } = buildIndex([{ kind, label, obj }]);
+  return { key: keyOf({ label, obj }), targets: [...new Set(references.map((r) => r.target))] };
+}
+
+async function hashOf(source) {
+  const form = source.kind === 'workflow' && !source.entry
+    ? await fs.readFile(formPath(source.file), 'utf8').catch(() => '')
+    : '';
+  return contentHash(`${source.text}\0${form}`);
+}
+
+async function readState(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return {}; // first run, or the cache was cleared
+  }
+}
+
+// Changed and untracked files below `patterns` since `ref`.
+async function changedSince(ref, patterns, exclude) {
+  if (!patterns.length) return new Set();
+  try {
+    return new Set(await changedFiles(ref, undefined, patterns, exclude));
+  } catch (err) {
+    throw new Error(`cannot compare with ${ref} – ${err.stderr?.trim() || err.message}`);
+  }
+}
+
+// `sources` as returned by loadSources(); `settings` globs of files besides
+// the config that decide the tool's results. Returns { sources, note, commit }:
+// the sources to process, a line for the log (undefined on a full run) and
+// commit(failedLabels), which records what was processed for the next
+// --changed run – failed sources are left out, so they are processed again.
+// Git errors (an unknown ref) are thrown.
+export async function selectSources(sources, options, { config, tool, settings = [], callees = false }) {
+  const stateFile = config.cache && path.join(config.cache, `${tool}.json`);
+  const previous = stateFile ? await readState(stateFile) : {};
+  const settingsFiles = [
+    ...await fg('**/*.js', { cwd: SCRIPTS_DIR, absolute: true }),
+    ...await fg(settings, { dot: true, ignore: config.exclude }),
+    process.env.VRO_CI_CONFIG ?? CONFIG_FILE,
+  ].sort();
+
+  const parts = [JSON.stringify(config)];
+  for (const file of settingsFiles) parts.push(file, await fs.readFile(file, 'utf8').catch(() => ''));
+  const fingerprint = contentHash(parts.join('\0'));
+  const known = previous.fingerprint === fingerprint ? previous.sources ?? {} : {};
+
+  const hashes = new Map();
+  for (const source of sources) hashes.set(source, await hashOf(source));
+
+  let changed = null; // null – everything
+  let reason;
+  let full = 'first run or settings changed';
+  const oldKeys = new Set();
+  const oldTargets = new Set();
+
+  if (options?.since) {
+    reason = `since ${options.since}`;
+    full = 'tools or settings changed';
+    // Tools installed outside the repository are not in its history.
+    const settingsPaths = settingsFiles.map(toGitPath).filter((f) => !f.startsWith('..'));
+    if (!(await changedSince(options.since, settingsPaths, [])).size) {
+      const { workflows, actions, packages } = config.include;
+      const paths = await changedSince(options.since, [...workflows, ...actions, ...packages, '**/forms/_.json'], config.exclude);
+      changed = sources.filter((s) => paths.has(toGitPath(s.file)) ||
+        (s.kind === 'workflow' && !s.entry && paths.has(toGitPath(formPath(s.file)))));
+
+      // The old versions tell which ids went away and who was referenced.
+      for (const file of [...paths].filter((p) => p.endsWith('.xml'))) {
+        const text = await showFile(options.since, file);
+        const obj = text && await parseXml(text).catch(() => null);
+        if (!obj) continue;
+        const { key, targets } = describe({ kind: isAction(obj) ? 'action' : 'workflow', label: file, obj });
+        oldKeys.add(key);
+        targets.forEach((t) => oldTargets.add(t));
+      }
+    }
+  } else if (options?.changed) {
+    reason = 'changed since the last run';
+    if (previous.fingerprint === fingerprint) {
+      changed = sources.filter((s) => known[s.label]?.hash !== hashes.get(s));
+      const current = new Map(sources.map((s) => [s.label, hashes.get(s)]));
+      for (const [label, entry] of Object.entries(known)) {
+        if (current.get(label) === entry.hash) continue;
+        oldKeys.add(entry.key);
+        entry.targets.forEach((t) => oldTargets.add(t));
+      }
+    }
+  }
+
+  let selected = sources;
+  let note;
+  if (changed) {
+    const keys = new Set(oldKeys);
+    const wanted = new Set(callees ? oldTargets : []);
+    for (const source of changed) {
+      const { key, targets } = describe(source);
+      keys.add(key);
+      if (callees) targets.forEach((t) => wanted.add(t));
+    }
+    for (const ref of buildIndex(sources).references) if (keys.has(ref.target)) wanted.add(ref.from);
+
+    const changedSet = new Set(changed);
+    selected = sources.filter((s) => changedSet.has(s) || wanted.has(keyOf(s)));
+    note = `${reason}: ${selected.length} of ${sources.length} workflow(s)/action(s) – ` +
+      `${changed.length} changed, ${selected.length - changed.length} dependent`;
+  } else if (options) {
+    note = `${reason}: ${full} – processing everything`;
+  }
+
+  async function commit(failed = []) {
+    if (!stateFile) return;
+    const skip = new Set(failed);
+    const labels = new Set(sources.map((s) => s.label));
+    const state = Object.fromEntries(Object.entries(known).filter(([label]) => labels.has(label)));
+    for (const source of selected) {
+      if (skip.has(source.label)) delete state[source.label];
+      else state[source.label] = { hash: hashes.get(source), ...describe(source) };
+    }
+    await fs.mkdir(config.cache, { recursive: true });
+    await fs.writeFile(stateFile, JSON.stringify({ fingerprint, sources: state }), 'utf8');
+  }
+
+  return { sources: selected, note, commit };
+}
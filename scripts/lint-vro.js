@@ -0,0 +1,32 @@
+// scripts/lint-vro.js – ESLint set up for scripts embedded in vRO XML
+// -----------------------------------------------------------------------------
+// • scriptLinter(config) returns eslintFor(inBindings, outBindings): an ESLint
+//   instance whose globals are the element's bindings (see
+//   eslint-plugin-vro.js) and whose rules include lint.rules from the config.
+// • Lint scripts as "<xml path>#<element>.js" so the vRO runtime profile in
+//   eslint.config.js applies to them.
+// -----------------------------------------------------------------------------
+
+import { ESLint } from 'eslint';
+import { bindingGlobals } from './eslint-plugin-vro.js';
+
+// One ESLint instance per distinct binding set – the config is resolved once
+// per instance, and most elements of a workflow share the same bindings.
+export function scriptLinter(config, { fix = false } = {}) {
+  const linters = new Map();
+  return function eslintFor(inBindings, outBindings) {
+    const key = JSON.stringify([inBindings, outBindings]);
+    if (!linters.has(key)) {
+      linters.set(key, new ESLint({
+        fix,
+        overrideConfig: {
+          files: ['**/*.xml#*.js'],
+          languageOptions: { globals: bindingGlobals(inBindings, outBindings) },
+          settings: { vro: { outBindings } },
+          rules: config.lint.rules,
+        },
+      }));
+    }
+    return linters.get(key);
+  };
+}
@@ -4,57 +4,172 @@
 // -------------------------------------------------------------------------
 // • Searches the entire branch for "*.workflow.xml" (override via VRO_GLOB).
 // • Lists all Scriptable Tasks discovered per workflow.
-// • Runs ESLint on each script and summarises the outcome.
+// • Runs ESLint on each script and summarises the outcome. Scripts are linted
+//   as "<file>#<element>.js" so the vRO runtime profile in eslint.config.js
+//   (Rhino/ES5 syntax, vRO globals) applies to them.
+// • Each script sees its element's in-bindings as read-only globals and its
+//   out-bindings as writable globals, so unbound identifiers, reassigned
+//   in-bindings and unassigned out-bindings are reported.
+// • Results are reported against the workflow XML itself, with line/column
+//   numbers mapped back to where each script sits inside the file.
+// • --fix runs ESLint's fixer on every script and writes the fixed code back
+//   into its <script> CDATA; all other bytes of the XML stay unchanged.
+//   Package contents are reported but never rewritten.
+// • Globs and rule severities come from vro-ci.config.json ("include",
+//   "exclude", "lint.rules" – see config-vro.js).
+// • --report <json|junit|sarif|github>[=<file>] writes every message with
+//   file, element, ESLint rule id and XML line/column (see report-vro.js).
+// • --since <ref> / --changed lint only what changed since a git ref or the
+//   last run, plus what references it (see incremental-vro.js).
 // -------------------------------------------------------------------------
 
 import { ESLint } from 'eslint';
-import fg from 'fast-glob';
 import path from 'node:path';
-import { loadXml, extractScripts } from './parse-vro.js';
+import { loadSources, extractScripts, locateScripts, writeScripts } from './parse-vro.js';
+import { scriptLinter } from './lint-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+import { reportOptions, writeReports } from './report-vro.js';
+import { incrementalOptions, selectSources } from './incremental-vro.js';
 
-// Search pattern – can be overridden by setting the VRO_GLOB env variable.
-const PATTERN = process.env.VRO_GLOB || '**/*workflow.xml';
+const FIX = process.argv.includes('--fix');
 
-const files = await fg(PATTERN, { dot: true });
+let reports;
+let incremental;
+try {
+  reports = reportOptions(process.argv);
+  incremental = incrementalOptions(process.argv);
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
+// A report on stdout keeps stdout to itself.
+const log = reports.some((r) => !r.file) ? console.error : console.log;
+
+const config = await loadConfig();
+const { workflows, actions, packages } = config.include;
+const sources = await loadSources(config);
+
+log(`🔍  Looking for XML files with pattern: ${[...workflows, ...actions, ...packages].join(', ')}`);
+log(`    ➜  found ${sources.length} workflow(s)/action(s)\n`);
+
+if (sources.length === 0) {
+  console.error('No workflow or action files found – check the glob pattern or repository structure.');
+  process.exit(EXIT.USAGE);
+}
+
+let selection;
+try {
+  selection = await selectSources(sources, incremental, { config, tool: 'lint', settings: ['eslint.config.*'] });
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
+if (selection.note) log(`⚡  Incremental – ${selection.note}\n`);
 
-console.log(`🔍  Looking for XML files with pattern: ${PATTERN}`);
-console.log(`    ➜  found ${files.length} file(s)\n`);
+const eslintFor = scriptLinter(config, { fix: FIX });
 
-if (files.length === 0) {
-  console.error('No workflow files found – check the glob pattern or repository structure.');
-  process.exit(1);
+// Shift a script-relative line/column to the position of the script in the
+// XML file. Only the first script line is offset horizontally.
+function toXml(loc, line, column) {
+  if (!loc || line === undefined) return { line, column };
+  return {
+    line: loc.line + line - 1,
+    column: line === 1 ? loc.column + column - 1 : column,
+  };
 }
 
-const eslint = new ESLint();
+function remapMessage(message, loc) {
+  const start = toXml(loc, message.line, message.column);
+  const end = toXml(loc, message.endLine, message.endColumn);
+  return { ...message, ...start, endLine: end.line, endColumn: end.column };
+}
+
+const formatter = await new ESLint().loadFormatter('stylish');
 let errorCount = 0;
+let warningCount = 0;
+const findings = []; // for --report
+const failed = []; // labels with errors – linted again by the next --changed run
 
-for (const file of files) {
-  const wf = await loadXml(file);
-  const scripts = extractScripts(wf);
+for (const { file, entry, label, text, obj } of selection.sources) {
+  const scripts = extractScripts(obj, text);
+  // Virtual path of the XML document – a package element lives inside the zip.
+  const xmlPath = entry ? `${path.relative('.', file)}/${entry}.xml` : path.relative('.', file);
 
-  console.log(`${file}`);
+  log(label);
   if (scripts.length === 0) {
-    console.log('    (no Scriptable Tasks found)\n');
+    log('    (no scripts found)\n');
     continue;
   }
 
-  scripts.forEach(({ name }, idx) => console.log(`    ${idx + 1}. ${name}`));
+  scripts.forEach(({ name, type }, idx) => log(`    ${idx + 1}. ${name} (${type})`));
 
-  // Lint each embedded script separately so we get precise file/line numbers.
-  for (const { name, code } of scripts) {
-    const results = await eslint.lintText(code, {
-      filePath: `${path.relative('.', file)}#${name}.js`,
+  // Lint each embedded script separately (own bindings), then merge the
+  // results into one report for the XML file with positions in that file.
+  const lintResults = [];
+  const fixes = new Map();
+  for (const { name, element, code, inBindings, outBindings } of scripts) {
+    const [result] = await eslintFor(inBindings, outBindings).lintText(code, {
+      // "/" in a display name would turn the element into a sub-directory.
+      filePath: `${xmlPath}#${name.replace(/[\\/]/g, '_')}.js`,
     });
-    const output = (await eslint.loadFormatter('stylish')).format(results);
-    if (output) console.log(output);
-    errorCount += results.reduce((sum, r) => sum + r.errorCount, 0);
+    lintResults.push({ name, element, result });
+    if (result.output !== undefined) fixes.set(element, result.output);
+  }
+
+  // Fixed scripts can change length, so positions come from the updated XML.
+  let locations = locateScripts(text);
+  if (fixes.size > 0 && entry) {
+    log(`    ⚠  ${fixes.size} fixable script(s) – cannot write back into a .package`);
+  } else if (fixes.size > 0) {
+    locations = locateScripts(await writeScripts(file, text, fixes));
+    log(`    ✎  fixed ${fixes.size} script(s) in place`);
   }
-  console.log(''); // blank line between workflows
+
+  const merged = {
+    filePath: entry ? label : path.resolve(file),
+    messages: [],
+    errorCount: 0,
+    warningCount: 0,
+    fixableErrorCount: 0,
+    fixableWarningCount: 0,
+  };
+  for (const { name, element, result } of lintResults) {
+    const messages = result.messages.map((m) => remapMessage(m, locations.get(element)));
+    merged.messages.push(...messages);
+    for (const key of ['errorCount', 'warningCount', 'fixableErrorCount', 'fixableWarningCount']) {
+      merged[key] += result[key];
+    }
+    // Positions inside a package element mean nothing in the .package file.
+    findings.push(...messages.map((m) => ({
+      file: path.relative('.', file),
+      label,
+      element: name,
+      ruleId: m.ruleId ?? 'parse-error', // fatal parsing errors have no rule
+      severity: m.severity === 2 ? 'error' : 'warning',
+      message: m.message,
+      ...(entry ? {} : { line: m.line, column: m.column, endLine: m.endLine, endColumn: m.endColumn }),
+    })));
+  }
+  merged.messages.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const output = formatter.format([merged]);
+  if (output) log(output);
+  errorCount += merged.errorCount;
+  if (merged.errorCount) failed.push(label);
+  warningCount += merged.warningCount;
+  log(''); // blank line between workflows
 }
 
+await writeReports(reports, {
+  tool: 'vro-ci lint',
+  files: selection.sources.map((s) => s.label),
+  findings,
+});
+await selection.commit(failed);
+
 if (errorCount > 0) {
-  console.error(`ESLint reported ${errorCount} error(s)`);
-  process.exit(1);
+  console.error(`ESLint reported ${errorCount} error(s), ${warningCount} warning(s)`);
+  process.exit(EXIT.FAILED);
 } else {
-  console.log('All embedded scripts passed ESLint');
+  log(`All embedded scripts passed ESLint${warningCount ? ` (${warningCount} warning(s))` : ''}`);
 }
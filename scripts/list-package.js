@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// list-package.js – lists the contents of exported vRO .package archives
+// -----------------------------------------------------------------------------
+// • Takes package paths as arguments (default: include.packages from
+//   vro-ci.config.json, or VRO_PACKAGE_GLOB) and prints type, name and id of
+//   each element.
+// • Works fully offline – no unzipping by hand, no vRO server needed.
+// • A file that is not a readable zip is reported and the others are still
+//   listed; the run then exits with code 1.
+// -----------------------------------------------------------------------------
+
+import fg from 'fast-glob';
+import path from 'node:path';
+import { readPackage } from './parse-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+const args = process.argv.slice(2);
+const config = await loadConfig();
+const files = args.length ? args : await fg(config.include.packages, { dot: true, ignore: config.exclude });
+
+if (files.length === 0) {
+  console.error('No .package files found – pass a path or check include.packages / VRO_PACKAGE_GLOB.');
+  process.exit(EXIT.USAGE);
+}
+
+let broken = 0;
+for (const file of files) {
+  let pkg;
+  try {
+    pkg = readPackage(file);
+  } catch (err) {
+    // A corrupt archive does not stop the listing of the others.
+    console.error(`❌  ${path.relative('.', file)}: ${err.message}\n`);
+    broken++;
+    continue;
+  }
+  console.log(`📦  ${path.relative('.', file)} (${pkg.elements.length} element(s))`);
+  for (const el of pkg.elements.sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name))) {
+    console.log(`    ${el.type.padEnd(20)} ${el.name}  \`${el.id}\``);
+  }
+  console.log('');
+}
+
+if (broken > 0) {
+  console.error(`❌  ${broken} of ${files.length} package(s) could not be read.`);
+  process.exit(EXIT.FAILED);
+}
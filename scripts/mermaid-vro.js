@@ -0,0 +1,165 @@
+// scripts/mermaid-vro.js – Mermaid flowchart of a workflow schema
+// -----------------------------------------------------------------------------
+// • Nodes and edges come from buildGraph() (graph-vro.js), so the diagram
+//   shows exactly what the validator checks.
+// • One shape per element type: start/end (an error end doubly circled),
+//   scriptable task, action, linked workflow, decision, switch, foreach,
+//   waiting elements, user interaction and error handler.
+// • Decisions label their branches true/false, switches their conditions and
+//   the default branch. Explicit catch paths are dashed; elements without one
+//   get a red dashed edge to the workflow's error handler, when there is one.
+// • Workflow and action elements link to their doc pages (click directives;
+//   the HTML site renders them with securityLevel "antiscript").
+// • layout "position" takes the direction and the order of the nodes from the
+//   x/y coordinates stored in the XML, so the diagram reads like the schema in
+//   the vRO client; "auto" leaves both to Mermaid.
+// -----------------------------------------------------------------------------
+
+import { buildGraph } from './graph-vro.js';
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+const txt = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+// [open, close] per shape – see https://mermaid.js.org/syntax/flowchart.html
+const SHAPES = {
+  start: ['([', '])'],
+  end: ['((', '))'],
+  errorEnd: ['(((', ')))'],
+  task: ['[', ']'],
+  action: ['(', ')'],
+  workflow: ['[[', ']]'],
+  decision: ['{', '}'],
+  switch: ['{{', '}}'],
+  foreach: ['[/', '\\]'],
+  wait: ['>', ']'],
+  input: ['[/', '/]'],
+  handler: ['[\\', '/]'],
+};
+
+const TYPE_SHAPES = {
+  start: 'start',
+  condition: 'decision',
+  'custom-condition': 'decision',
+  switch: 'switch',
+  link: 'workflow',
+  'multiple-workflow': 'workflow',
+  foreach: 'foreach',
+  'waiting-event': 'wait',
+  'waiting-timer': 'wait',
+  input: 'input',
+};
+
+function shapeOf({ el, kind }) {
+  if (kind === 'error-handler') return 'handler';
+  if (el.type === 'end') return el['end-mode'] === '1' ? 'errorEnd' : 'end';
+  if (el.type === 'task' && el['script-module']) return 'action';
+  return TYPE_SHAPES[el.type] ?? 'task';
+}
+
+// Quoted Mermaid text: one line, with the characters Mermaid would read as
+// syntax written as its #entity; codes.
+const ENTITIES = { '"': '#quot;', '#': '#35;', '&': '#amp;', '<': '#lt;', '>': '#gt;', '`': '#96;' };
+export const mermaidLabel = (text) =>
+  `"${String(text).replace(/\s+/g, ' ').trim().replace(/["#&<>`]/g, (c) => ENTITIES[c])}"`;
+
+// What the vRO client shows for elements without a display name.
+function defaultLabel({ el }, shape) {
+  if (shape === 'handler') return 'Error handler';
+  if (shape === 'end') return 'End';
+  if (shape === 'errorEnd') return `Throw ${el['throw-bind-name'] ?? ''}`.trim();
+  return '';
+}
+
+const nodeId = (name) => `el_${String(name).replace(/\W/g, '_')}`;
+
+function coordinates(el) {
+  const p = collect(el?.position)[0];
+  const [x, y] = [Number.parseFloat(p?.x), Number.parseFloat(p?.y)];
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+// Flowchart source (without the ``` fence) for a <workflow> root element.
+// `links.workflow(id)` / `links.action(fqn)` return the doc page of a linked
+// workflow or action relative to the page the diagram goes to, or nothing.
+export function workflowDiagram(root, { layout = 'auto', links = {} } = {}) {
+  const graph = buildGraph(root);
+  const handlers = [...graph.nodes].filter(([, node]) => node.kind === 'error-handler').map(([name]) => name);
+
+  // Declaration order and direction.
+  let nodes = [...graph.nodes];
+  let direction = 'LR';
+  if (layout === 'position') {
+    const start = coordinates(root) ?? { x: 0, y: 0 };
+    const at = new Map(nodes.map(([name, { el }]) => [name, coordinates(el) ?? start]));
+    const xs = [start.x, ...[...at.values()].map((p) => p.x)];
+    const ys = [start.y, ...[...at.values()].map((p) => p.y)];
+    direction = Math.max(...xs) - Math.min(...xs) >= Math.max(...ys) - Math.min(...ys) ? 'LR' : 'TB';
+    const [main, cross] = direction === 'LR' ? ['x', 'y'] : ['y', 'x'];
+    nodes = nodes.sort(([a], [b]) => at.get(a)[main] - at.get(b)[main] || at.get(a)[cross] - at.get(b)[cross]);
+  }
+
+  const lines = [`flowchart ${direction}`];
+  const classes = { errorEnd: [], handler: [], missing: [] };
+  const clicks = [];
+
+  // Older exports have a start item of their own.
+  const startItem = graph.nodes.get(graph.start)?.el.type === 'start';
+  if (!startItem) lines.push(`  start${SHAPES.start[0]}${mermaidLabel('Start')}${SHAPES.start[1]}`);
+  for (const [name, node] of nodes) {
+    const shape = shapeOf(node);
+    const [open, close] = SHAPES[shape];
+    const label = txt(node.el['display-name']) || defaultLabel(node, shape) || name;
+    lines.push(`  ${nodeId(name)}${open}${mermaidLabel(label)}${close}`);
+    if (classes[shape]) classes[shape].push(nodeId(name));
+
+    const href = node.el.type === 'link'
+      ? links.workflow?.(node.el['linked-workflow-id'])
+      : node.el['script-module'] && links.action?.(node.el['script-module']);
+    if (href) clicks.push(`  click ${nodeId(name)} href ${mermaidLabel(href)} ${mermaidLabel(`Open ${label}`)}`);
+  }
+  const targets = [...(graph.start ? [graph.start] : []), ...graph.edges.map((e) => e.to)];
+  for (const target of new Set(targets.filter((to) => !graph.nodes.has(to)))) {
+    lines.push(`  ${nodeId(target)}[${mermaidLabel(`missing: ${target}`)}]`);
+    classes.missing.push(nodeId(target));
+  }
+
+  // Edges – linkStyle addresses them by position.
+  let edgeCount = 0;
+  const errorEdges = [];
+  const edge = (from, to, arrow, error = false) => {
+    if (error) errorEdges.push(edgeCount);
+    edgeCount++;
+    lines.push(`  ${from} ${arrow} ${to}`);
+  };
+
+  lines.push('');
+  if (graph.start && !startItem) edge('start', nodeId(graph.start), '-->');
+  for (const e of graph.edges) {
+    const from = graph.nodes.get(e.from).el;
+    const decision = shapeOf(graph.nodes.get(e.from)) === 'decision';
+    if (e.kind === 'condition') edge(nodeId(e.from), nodeId(e.to), `-- ${mermaidLabel(e.label || '(condition)')} -->`);
+    else if (e.kind === 'catch') edge(nodeId(e.from), nodeId(e.to), `-. ${mermaidLabel('catch')} .->`, true);
+    else if (decision) edge(nodeId(e.from), nodeId(e.to), `-- ${mermaidLabel(e.kind === 'out' ? 'true' : 'false')} -->`);
+    else if (from.type === 'switch' && e.kind === 'out') edge(nodeId(e.from), nodeId(e.to), `-- ${mermaidLabel('default')} -->`);
+    else edge(nodeId(e.from), nodeId(e.to), e.kind === 'alt' ? '-.->' : '-->');
+  }
+  // Uncaught errors go to the workflow's error handler.
+  if (handlers.length) {
+    for (const [name, node] of graph.nodes) {
+      if (node.kind === 'item' && node.el.type !== 'end' && !node.el['catch-name']) {
+        edge(nodeId(name), nodeId(handlers[0]), '-.->', true);
+      }
+    }
+  }
+
+  if (clicks.length) lines.push('', ...clicks);
+  lines.push('');
+  if (errorEdges.length) lines.push(`  linkStyle ${errorEdges.join(',')} stroke:#c00,color:#c00`);
+  lines.push(
+    '  classDef errorEnd fill:#fdd,stroke:#c00',
+    '  classDef handler fill:#fee,stroke:#c00',
+    '  classDef missing fill:#fdd,stroke:#c00,stroke-dasharray:4',
+  );
+  for (const [name, ids] of Object.entries(classes)) if (ids.length) lines.push(`  class ${ids.join(',')} ${name}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,155 @@
+// scripts/metrics-vro.js – size and complexity metrics for workflows & actions
+// -----------------------------------------------------------------------------
+// • Workflow: elements, schema depth (longest path from the start item, loops
+//   counted once), branches (elements with more than one successor),
+//   attributes, inputs and outputs – see graph-vro.js for the schema.
+// • Script (Scriptable Task, decision, error handler, action): lines of code,
+//   cyclomatic complexity, nesting depth and parameter counts (in/out
+//   bindings, action parameters). Scripts are parsed with espree, the parser
+//   behind ESLint, into the same AST ESLint rules see.
+// • overBudget() compares metrics with the thresholds from the metrics
+//   section of vro-ci.config.json; 0 or null disables a threshold.
+// -----------------------------------------------------------------------------
+
+import * as espree from 'espree';
+import { actionMeta, extractScripts, isAction } from './parse-vro.js';
+import { buildGraph } from './graph-vro.js';
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+
+// Action bodies may `return` at top level; the Rhino dialect is otherwise a
+// subset of what espree reads.
+const PARSE_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script', ecmaFeatures: { globalReturn: true }, loc: true, tokens: true };
+
+const DECISIONS = new Set([
+  'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause',
+]);
+const NESTING = new Set([
+  'IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement',
+  'SwitchStatement', 'TryStatement', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+]);
+
+// Children of an ESTree node, in source order.
+function children(node) {
+  return Object.entries(node)
+    .filter(([key]) => key !== 'loc' && key !== 'range')
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter((child) => child && typeof child.type === 'string');
+}
+
+// { lines, complexity, nesting } for one script; a script that does not
+// parse gets its line count and `error` instead.
+export function scriptMetrics(code) {
+  let ast;
+  try {
+    ast = espree.parse(code, PARSE_OPTIONS);
+  } catch (err) {
+    const lines = code.split('\n').filter((l) => l.trim() && !/^\s*\/\//.test(l)).length;
+    return { lines, complexity: null, nesting: null, error: err.message };
+  }
+
+  // Lines that hold code – comments and blank lines do not count.
+  const lines = new Set();
+  for (const token of ast.tokens) {
+    for (let l = token.loc.start.line; l <= token.loc.end.line; l++) lines.add(l);
+  }
+
+  let complexity = 1;
+  let nesting = 0;
+  const walk = (node, depth, parent) => {
+    if (DECISIONS.has(node.type)) complexity++;
+    if (node.type === 'SwitchCase' && node.test) complexity++;
+    if (node.type === 'LogicalExpression') complexity++;
+    if (node.type === 'AssignmentExpression' && ['&&=', '||=', '??='].includes(node.operator)) complexity++;
+
+    // `else if` continues a chain instead of nesting deeper.
+    const elseIf = node.type === 'IfStatement' && parent?.type === 'IfStatement' && parent.alternate === node;
+    const inner = NESTING.has(node.type) && !elseIf ? depth + 1 : depth;
+    nesting = Math.max(nesting, inner);
+    for (const child of children(node)) walk(child, inner, node);
+  };
+  walk(ast, 0);
+
+  return { lines: lines.size, complexity, nesting };
+}
+
+// Longest path from `start`; an edge back into the current path ends it.
+function schemaDepth({ start, edges }) {
+  const next = new Map();
+  for (const e of edges) next.set(e.from, [...(next.get(e.from) ?? []), e.to]);
+  const memo = new Map();
+  const onPath = new Set();
+  const depth = (n) => {
+    if (memo.has(n)) return memo.get(n);
+    onPath.add(n);
+    let longest = 0;
+    for (const to of new Set(next.get(n) ?? [])) if (!onPath.has(to)) longest = Math.max(longest, depth(to));
+    onPath.delete(n);
+    memo.set(n, longest + 1);
+    return longest + 1;
+  };
+  return start ? depth(start) : 0;
+}
+
+// Metrics of a source from loadSources(): { kind, name, label, …, scripts }.
+export function sourceMetrics(source) {
+  const scripts = extractScripts(source.obj).map(({ name, element, code, inBindings, outBindings }) => ({
+    name,
+    element,
+    ...scriptMetrics(code),
+    inputs: inBindings.length,
+    outputs: outBindings.length,
+  }));
+
+  if (isAction(source.obj)) {
+    const action = actionMeta(source.obj);
+    return { kind: 'action', name: action.fqn, label: source.label, source, params: action.params.length, scripts };
+  }
+
+  const root = source.obj[Object.keys(source.obj)[0]];
+  const graph = buildGraph(root);
+  const successors = new Map();
+  for (const e of graph.edges) successors.set(e.from, new Set([...(successors.get(e.from) ?? []), e.to]));
+  return {
+    kind: 'workflow',
+    name: root['display-name']?._ ?? root['object-name'] ?? source.label,
+    label: source.label,
+    source,
+    elements: graph.nodes.size,
+    depth: schemaDepth(graph),
+    branches: [...successors.values()].filter((s) => s.size > 1).length,
+    attribs: collect(root.attrib).length,
+    inputs: collect(root.input?.param).length,
+    outputs: collect(root.output?.param).length,
+    scripts,
+  };
+}
+
+// Largest value of a script metric, 0 without scripts.
+export const largest = (metrics, key) => Math.max(0, ...metrics.scripts.map((s) => s[key] ?? 0));
+
+// Everything over budget as { metric, value, limit, script? } – `script` is
+// the scripts[] entry for script metrics.
+export function overBudget(metrics, thresholds) {
+  const over = [];
+  const test = (metric, value, script) => {
+    const limit = thresholds[metric];
+    if (limit && value > limit) over.push({ metric, value, limit, ...(script ? { script } : {}) });
+  };
+  if (metrics.kind === 'workflow') {
+    for (const metric of ['elements', 'depth', 'branches', 'attribs', 'inputs', 'outputs']) test(metric, metrics[metric]);
+  } else {
+    test('params', metrics.params);
+  }
+  for (const s of metrics.scripts) {
+    test('scriptLines', s.lines, s);
+    test('complexity', s.complexity, s);
+    test('nesting', s.nesting, s);
+    if (metrics.kind === 'workflow') test('params', s.inputs + s.outputs, s);
+  }
+  return over;
+}
+
+// Report rule id of a metric – "scriptLines" → "max-script-lines".
+export const ruleId = (metric) => `max-${metric.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// metrics-workflow.js – size & complexity budgets for workflows and actions
+// -----------------------------------------------------------------------------
+// • Measures every workflow & action (globs from vro-ci.config.json): element
+//   count, schema depth, branching, attributes, inputs/outputs, and per script
+//   lines of code, cyclomatic complexity, nesting depth and parameter counts
+//   (see metrics-vro.js).
+// • Compares them with metrics.thresholds and flags everything over budget;
+//   metrics.severity decides whether that is a warning or an error.
+// • --report <json|junit|sarif|github>[=<file>] writes the over-budget items
+//   as findings with rule ids like "max-complexity" (see report-vro.js).
+// • The summary tables are part of the generated docs (docs/metrics.md).
+// • Exits with code 1 if anything is over budget and the severity is "error".
+// -----------------------------------------------------------------------------
+
+import path from 'node:path';
+import { loadSources, locateElements } from './parse-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+import { reportOptions, writeReports } from './report-vro.js';
+import { overBudget, ruleId, sourceMetrics } from './metrics-vro.js';
+
+let reports;
+try {
+  reports = reportOptions(process.argv);
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
+// A report on stdout keeps stdout to itself.
+const log = reports.some((r) => !r.file) ? console.error : console.log;
+
+const config = await loadConfig();
+const { severity, thresholds } = config.metrics;
+const sources = await loadSources(config);
+const ICON = severity === 'error' ? '❌' : '⚠ ';
+
+log(`📐  Measuring ${sources.length} workflow(s)/action(s) against metrics.thresholds\n`);
+
+const findings = [];
+let overCount = 0;
+
+for (const source of sources) {
+  const metrics = sourceMetrics(source);
+  const over = overBudget(metrics, thresholds);
+  if (over.length) overCount++;
+
+  log(`${metrics.label} (${metrics.name})`);
+  log(metrics.kind === 'workflow'
+    ? `    elements ${metrics.elements} · depth ${metrics.depth} · branches ${metrics.branches} · ` +
+      `attribs ${metrics.attribs} · inputs ${metrics.inputs} · outputs ${metrics.outputs}`
+    : `    params ${metrics.params}`);
+  for (const s of metrics.scripts) {
+    const measured = s.error ? `does not parse – ${s.error}` : `complexity ${s.complexity}, nesting ${s.nesting}`;
+    log(`    • ${s.name}: ${s.lines} line(s), ${measured}`);
+  }
+
+  // Package contents have no position of their own – they point at the .package.
+  const positions = source.entry ? new Map() : locateElements(source.text);
+  for (const { metric, value, limit, script } of over) {
+    const message = `${script ? `script "${script.name}": ` : ''}${metric} ${value} exceeds the budget of ${limit}`;
+    log(`    ${ICON} ${message}`);
+    findings.push({
+      file: path.relative('.', source.file),
+      label: source.label,
+      element: script?.name,
+      ruleId: ruleId(metric),
+      severity: severity === 'warn' ? 'warning' : severity,
+      message,
+      ...(script ? positions.get(script.element) : {}),
+    });
+  }
+  log('');
+}
+
+await writeReports(reports, {
+  tool: 'vro-ci metrics',
+  files: sources.map((s) => s.label),
+  rules: new Map(Object.keys(thresholds).map((metric) => [ruleId(metric), `${metric} stays within metrics.thresholds.${metric}`])),
+  findings,
+});
+
+if (overCount > 0 && severity === 'error') {
+  console.error(`❌  ${overCount} workflow(s)/action(s) over budget (${findings.length} finding(s)).`);
+  process.exit(EXIT.FAILED);
+} else if (overCount > 0) {
+  log(`⚠  ${overCount} workflow(s)/action(s) over budget (${findings.length} finding(s)).`);
+} else {
+  log('✅  All workflows and actions are within budget.');
+}
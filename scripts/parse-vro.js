@@ -1,29 +1,303 @@
-// scripts/parse-vro.js 
+// scripts/parse-vro.js
+import { createHash } from 'node:crypto';
 import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+import fg from 'fast-glob';
+import sax from 'sax';
 import { parseStringPromise } from 'xml2js';
+import { loadConfig } from './config-vro.js';
 
+const PARSE_OPTIONS = { explicitArray: false, mergeAttrs: true, explicitCharkey: true };
 
 export async function loadXml(file) {
-  const xml = await fs.readFile(file, 'utf8');
-  return parseStringPromise(xml, { explicitArray: false, mergeAttrs: true, explicitCharkey: true });
+  return (await loadXmlSource(file)).obj;
 }
 
+// Same as loadXml, but keeps the raw text so results can point back into it.
+export async function loadXmlSource(file) {
+  const text = await fs.readFile(file, 'utf8');
+  return { text, obj: await parseXml(text) };
+}
+
+// Parses XML that did not come from disk (git objects, package entries).
+export function parseXml(text) {
+  return parseStringPromise(text, PARSE_OPTIONS);
+}
+
+// -----------------------------------------------------------------------------
+// Ordered document tree – for rewriting XML, where the xml2js objects above
+// lose too much (comments, CDATA vs. text, the order of mixed children).
+//   { type: 'document', children }
+//   { type: 'element', name, attributes: [[name, value]], selfClosing, children }
+//   { type: 'text' | 'cdata' | 'comment' | 'doctype', value }
+//   { type: 'instruction', name, value }  – including the <?xml …?> declaration
+// writeXml(parseXmlTree(text)) reads back into the same tree. Only lexical
+// details go: quote style, entity spelling and whitespace inside tags.
+// -----------------------------------------------------------------------------
+export function parseXmlTree(text) {
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  const document = { type: 'document', children: [] };
+  const stack = [document];
+  const append = (node) => {
+    const { children } = stack.at(-1);
+    const last = children.at(-1);
+    // sax reports text in chunks.
+    if (node.type === 'text' && last?.type === 'text') last.value += node.value;
+    else children.push(node);
+  };
+  let cdata = null;
+
+  parser.onerror = (err) => {
+    throw new Error(err.message.split('\n')[0]);
+  };
+  parser.onprocessinginstruction = ({ name, body }) => append({ type: 'instruction', name, value: body });
+  parser.ondoctype = (value) => append({ type: 'doctype', value });
+  parser.oncomment = (value) => append({ type: 'comment', value });
+  parser.ontext = (value) => append({ type: 'text', value });
+  // Adjacent sections are one value – "]]>" is written split across two.
+  parser.onopencdata = () => {
+    const { children } = stack.at(-1);
+    if (children.at(-1)?.type === 'cdata') cdata = children.at(-1);
+    else children.push((cdata = { type: 'cdata', value: '' }));
+  };
+  parser.oncdata = (value) => {
+    cdata.value += value;
+  };
+  parser.onclosecdata = () => {
+    cdata = null;
+  };
+  parser.onopentag = ({ name, attributes, isSelfClosing }) => {
+    const element = { type: 'element', name, attributes: Object.entries(attributes), selfClosing: isSelfClosing, children: [] };
+    stack.at(-1).children.push(element);
+    stack.push(element);
+  };
+  parser.onclosetag = () => {
+    stack.pop();
+  };
+
+  parser.write(text.replace(/^\uFEFF/, '')).close();
+  return document;
+}
+
+const escapeText = (value) => value.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('\r', '&#13;');
+// Attribute values also keep their line breaks and tabs, which parsers
+// would otherwise turn into spaces.
+const escapeAttribute = (value) =>
+  escapeText(value).replaceAll('"', '&quot;').replaceAll('\n', '&#10;').replaceAll('\t', '&#9;');
+
+// Serializes a parseXmlTree() tree as it is – whitespace is whatever text
+// nodes the tree holds.
+export function writeXml(node) {
+  switch (node.type) {
+    case 'document':
+      // Outside the root element text can only be whitespace – and no entities.
+      return node.children.map((child) => (child.type === 'text' ? child.value : writeXml(child))).join('');
+    case 'element': {
+      const attributes = node.attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+      if (node.children.length === 0 && node.selfClosing !== false) return `<${node.name}${attributes}/>`;
+      return `<${node.name}${attributes}>${node.children.map(writeXml).join('')}</${node.name}>`;
+    }
+    case 'text':
+      return escapeText(node.value);
+    case 'cdata':
+      return `<![CDATA[${node.value.replaceAll(']]>', ']]]]><![CDATA[>')}]]>`;
+    case 'comment':
+      return `<!--${node.value}-->`;
+    case 'doctype':
+      return `<!DOCTYPE${node.value}>`;
+    case 'instruction':
+      return `<?${node.name}${node.value ? ` ${node.value}` : ''}?>`;
+    default:
+      throw new Error(`unknown XML node type "${node.type}"`);
+  }
+}
+
+export const contentHash = (text) => createHash('sha1').update(text).digest('hex');
+
+// Parsed documents by content hash, kept in <cache dir>/parse.json between
+// runs. Only what was used in this run is written back, so the file does not
+// grow with every edit. `dir` false disables the cache.
+const PARSE_CACHE_VERSION = 1; // bump when PARSE_OPTIONS change
+
+async function openParseCache(dir) {
+  const file = dir && path.join(dir, 'parse.json');
+  let stored = {};
+  if (file) {
+    try {
+      const json = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (json.version === PARSE_CACHE_VERSION) stored = json.entries;
+    } catch {
+      // missing or unreadable – start over
+    }
+  }
+
+  const used = {};
+  let misses = 0;
+  return {
+    async parse(text) {
+      const hash = contentHash(text);
+      // The same document twice (a workflow also exported in a package) –
+      // sources never share objects.
+      if (hash in used) return structuredClone(used[hash]);
+      if (!(hash in stored)) {
+        misses++;
+        stored[hash] = await parseXml(text);
+      }
+      used[hash] = stored[hash];
+      return used[hash];
+    },
+    async save() {
+      if (!file || (misses === 0 && Object.keys(used).length === Object.keys(stored).length)) return;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({ version: PARSE_CACHE_VERSION, entries: used }), 'utf8');
+      await fs.rename(`${file}.tmp`, file);
+    },
+  };
+}
 
-export function extractScripts(workflowObj) {
+// 1-based line/column of a character offset.
+export function position(text, offset) {
+  const before = text.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+// The run of CDATA sections a script body holds (a script with "]]>" in it
+// is split over several), without the whitespace around it – or null for a
+// plain-text body.
+function cdataRange(text, start, end) {
+  let pos = start;
+  while (pos < end && /\s/.test(text[pos])) pos++;
+  if (!text.startsWith('<![CDATA[', pos)) return null;
+  const first = pos;
+  while (text.startsWith('<![CDATA[', pos)) {
+    const close = text.indexOf(']]>', pos);
+    if (close === -1 || close >= end) return null;
+    pos = close + ']]>'.length;
+  }
+  return { start: first, end: pos };
+}
+
+const ELEMENT_RE = /<(workflow-item|error-handler|dunes-script-module)\b([^>]*?)(\/?)>/g;
+const NAME_ATTR_RE = /(?:^|\s)name="([^"]*)"/;
+
+// Finds the <script> body of every element in the raw XML, keyed by the
+// element `name` (item1, item2, … – or the action name for action XML). `start`/`end` delimit everything between
+// <script> and </script>; line/column point at the first character of code,
+// and `code` is set for CDATA bodies.
+export function locateScripts(text) {
+  const found = new Map();
+  for (const m of text.matchAll(ELEMENT_RE)) {
+    const name = NAME_ATTR_RE.exec(m[2])?.[1];
+    if (!name || m[3]) continue; // self-closing element – no script
+
+    const bodyStart = m.index + m[0].length;
+    const bodyEnd = text.indexOf(`</${m[1]}>`, bodyStart);
+    const tag = /<script\b[^>]*?(\/?)>/.exec(text.slice(bodyStart, bodyEnd));
+    if (!tag || tag[1]) continue;
+
+    const start = bodyStart + tag.index + tag[0].length;
+    const end = text.indexOf('</script>', start);
+    const cdata = cdataRange(text, start, end);
+    const codeStart = cdata ? cdata.start + '<![CDATA['.length : start;
+    // The code of a CDATA body, without the whitespace around the sections –
+    // what replaceScripts() puts back.
+    const code = cdata && text.slice(codeStart, cdata.end - ']]>'.length).split(']]><![CDATA[').join('');
+    found.set(name, { start, end, ...(cdata && { code }), ...position(text, codeStart) });
+  }
+  return found;
+}
+
+const NAMED_RE = /<(workflow-item|error-handler|param|attrib)\b([^>]*?)\/?>/g;
+const N_ATTR_RE = /(?:^|\s)n="([^"]*)"/;
+
+// Start tag position of every schema element, variable and action parameter
+// (<param n="…">) in the raw XML, keyed by name; the first occurrence wins.
+export function locateElements(text) {
+  const found = new Map();
+  for (const m of text.matchAll(NAMED_RE)) {
+    const name = (NAME_ATTR_RE.exec(m[2]) ?? N_ATTR_RE.exec(m[2]))?.[1];
+    if (name !== undefined && !found.has(name)) found.set(name, position(text, m.index));
+  }
+  return found;
+}
+
+// Replaces script bodies in the raw XML and leaves every other byte alone.
+// `changes` maps element names to new code; CDATA scripts stay CDATA (with
+// "]]>" split across sections) and only the CDATA is replaced – whitespace
+// around it stays where it is. Plain-text scripts are XML-escaped.
+export function replaceScripts(text, changes) {
+  const locations = locateScripts(text);
+  const edits = [...changes]
+    .filter(([name]) => locations.has(name))
+    .map(([name, code]) => ({ ...locations.get(name), code }))
+    .sort((a, b) => b.start - a.start);
+
+  let out = text;
+  for (const { start, end, code } of edits) {
+    const cdata = cdataRange(out, start, end);
+    out = cdata
+      ? `${out.slice(0, cdata.start)}<![CDATA[${code.replaceAll(']]>', ']]]]><![CDATA[>')}]]>${out.slice(cdata.end)}`
+      : out.slice(0, start) + code.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;') + out.slice(end);
+  }
+  return out;
+}
+
+// Writes changed scripts back into the workflow file in place.
+export async function writeScripts(file, text, changes) {
+  const updated = replaceScripts(text, changes);
+  if (updated !== text) await fs.writeFile(file, updated, 'utf8');
+  return updated;
+}
+
+const bindNames = (binding) => {
+  const binds = binding?.bind ?? [];
+  return (Array.isArray(binds) ? binds : [binds]).map((b) => b.name).filter(Boolean);
+};
+
+// Every element that carries JavaScript: Scriptable Tasks, custom decisions,
+// switch/condition and foreach scripts, error handlers – or the body of an
+// action, whose parameters act as its in-bindings. Pass the raw XML text
+// (see loadXmlSource) to get each script's position in the file as `loc`.
+export function extractScripts(workflowObj, text) {
   const rootKey = Object.keys(workflowObj)[0];
   const root = workflowObj[rootKey];
-  const rawItems = root['workflow-item'] ?? root['workflowItem'] ?? [];
-  const items = Array.isArray(rawItems) ? rawItems : [rawItems];
+  const locations = text ? locateScripts(text) : new Map();
+
+  if (isAction(workflowObj)) {
+    if (!root.script?._) return [];
+    const action = actionMeta(workflowObj);
+    return [{
+      name: action.fqn,
+      element: root.name,
+      type: 'action',
+      code: locations.get(root.name)?.code ?? root.script._,
+      inBindings: action.params.map((p) => p.name),
+      outBindings: [],
+      loc: locations.get(root.name),
+    }];
+  }
+
+  const list = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+  const items = [
+    ...list(root['workflow-item'] ?? root['workflowItem']),
+    ...list(root['error-handler']).map((h) => ({ type: 'error-handler', ...h })),
+  ];
 
   return items
-    .filter((i) => i.type === 'task' && i.script?._)
+    .filter((i) => i.script?._)
     .map((i) => ({
       name: i['display-name']?._ ?? i.name ?? 'unknown',
-      code: i.script._.replace(/^<!\[CDATA\[|\]\]>$/g, ''),
+      element: i.name,
+      type: i.type,
+      code: locations.get(i.name)?.code ?? i.script._.replace(/^<!\[CDATA\[|\]\]>$/g, ''),
+      inBindings: bindNames(i['in-binding']),
+      outBindings: bindNames(i['out-binding']),
+      loc: locations.get(i.name),
     }));
 }
 
-
 export function meta(workflowObj) {
   const wf = workflowObj.workflow;
   return {
@@ -35,3 +309,120 @@ export function meta(workflowObj) {
     attrib: wf.attrib ?? [],
   };
 }
+
+// Actions (script modules) are exported as <dunes-script-module> documents;
+// parameters use the short attribute names n/t and hold their description
+// as text content.
+export function isAction(xmlObj) {
+  return Object.keys(xmlObj)[0] === 'dunes-script-module';
+}
+
+export function actionMeta(actionObj) {
+  const action = actionObj['dunes-script-module'];
+  const params = action.param ?? [];
+  return {
+    id: action.id,
+    name: action.name,
+    module: action['category-name'],
+    fqn: `${action['category-name']}/${action.name}`,
+    version: action.version,
+    returnType: action['result-type'],
+    description: action.description?._ ?? action.description ?? '',
+    params: (Array.isArray(params) ? params : [params]).map((p) => ({
+      name: p.n,
+      type: p.t,
+      description: p._ ?? '',
+    })),
+    script: action.script?._ ?? '',
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Exported .package archives
+// -----------------------------------------------------------------------------
+// A package is a zip with one folder per element: elements/<id>/info holds
+// Java properties (type, name, id – usually in the XML properties format)
+// and elements/<id>/data the element itself, typically UTF-16 encoded.
+
+const PACKAGE_TYPES = { Workflow: 'workflow', ScriptModule: 'action' };
+
+// Text of an XML file or package entry: UTF-16 (either byte order) or UTF-8,
+// by its byte order mark.
+export function decodeText(buf) {
+  if (buf[0] === 0xfe && buf[1] === 0xff) {
+    const swapped = Buffer.from(buf.subarray(2));
+    return swapped.swap16().toString('utf16le');
+  }
+  if (buf[0] === 0xff && buf[1] === 0xfe) return buf.subarray(2).toString('utf16le');
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return buf.subarray(3).toString('utf8');
+  return buf.toString('utf8');
+}
+
+function parseProperties(text) {
+  const props = {};
+  for (const m of text.matchAll(/<entry key="([^"]+)">([^<]*)<\/entry>/g)) props[m[1]] = m[2];
+  if (Object.keys(props).length) return props;
+  for (const line of text.split(/\r?\n/)) {
+    const m = /^\s*([^#!=:\s]+)\s*[=:]\s*(.*)$/.exec(line);
+    if (m) props[m[1]] = m[2];
+  }
+  return props;
+}
+
+// Lists every element of a package. Workflows and actions carry their XML
+// as `text`; other element types (configurations, resources) are listed only.
+export function readPackage(file) {
+  const zip = new AdmZip(file);
+  const elements = [];
+  for (const entry of zip.getEntries()) {
+    const m = /^elements\/([^/]+)\/info$/.exec(entry.entryName);
+    if (!m) continue;
+
+    const info = parseProperties(decodeText(entry.getData()));
+    const kind = PACKAGE_TYPES[info.type];
+    const data = zip.getEntry(`elements/${m[1]}/data`);
+    elements.push({
+      id: info.id ?? m[1],
+      type: info.type ?? 'unknown',
+      kind,
+      name: info.name ?? m[1],
+      entry: `elements/${m[1]}/data`,
+      text: kind && data ? decodeText(data.getData()) : undefined,
+    });
+  }
+  return { file, name: path.basename(file), elements };
+}
+
+// Workflows and actions from plain XML files and from .package archives, as
+// { kind, file, label, entry?, text, obj }. `label` names the package and the
+// element inside it, so reports stay unambiguous; `entry` is set only for
+// elements read from a package (they cannot be written back). The globs come
+// from `config` (see config-vro.js), which is read when not passed in.
+// Parsed documents come from the parse cache when their text is unchanged.
+export async function loadSources(config) {
+  const { include, exclude, cache } = config ?? (await loadConfig());
+  const parsed = await openParseCache(cache);
+  const sources = [];
+  for (const file of await fg([...include.workflows, ...include.actions], { dot: true, ignore: exclude })) {
+    const text = await fs.readFile(file, 'utf8');
+    const obj = await parsed.parse(text);
+    const kind = isAction(obj) ? 'action' : 'workflow';
+    sources.push({ kind, file, label: path.relative('.', file), text, obj });
+  }
+
+  for (const file of await fg(include.packages, { dot: true, ignore: exclude })) {
+    for (const el of readPackage(file).elements) {
+      if (!el.kind || el.text === undefined) continue;
+      sources.push({
+        kind: el.kind,
+        file,
+        entry: el.entry,
+        label: `${path.relative('.', file)} › ${el.name}`,
+        text: el.text,
+        obj: await parsed.parse(el.text),
+      });
+    }
+  }
+  await parsed.save();
+  return sources;
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+// remote-workflow.js – imports workflows into vRO and runs them
+// -----------------------------------------------------------------------------
+// Usage: node scripts/remote-workflow.js import <file> [--category <id>] [--overwrite]
+//        node scripts/remote-workflow.js run <workflow.xml | id> [--param <name>=<value>]… [--no-wait]
+//   common options: [--url <url>] [--ca <file>] [--insecure] [--retries <n>]
+// • import uploads a .package, an exported .workflow or a workflow XML file;
+//   workflows go to the category (folder) with the given id.
+// • run starts an execution. Parameter values are typed from the workflow's
+//   inputs – read from the XML file, or from the server for a bare id – and
+//   checked before anything is sent (see vroValue() in client-vro.js).
+//   It then polls until the execution ends and prints its outputs;
+//   --no-wait returns once it has started.
+// • Credentials come from the environment only: VRA_REFRESH_TOKEN, or
+//   VRA_USER and VRA_PASSWORD. VRA_URL, TLS, retries and polling can be set
+//   in the "remote" section of vro-ci.config.json.
+// • Exit codes: 0 – imported / execution completed, 1 – the server refused,
+//   the execution failed or timed out, 2 – usage, configuration or credentials.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { isAction, loadXml } from './parse-vro.js';
+import { createClient, executionParameters, plainValue } from './client-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+const USAGE = [
+  'Usage: node scripts/remote-workflow.js import <file> [--category <id>] [--overwrite]',
+  '       node scripts/remote-workflow.js run <workflow.xml | id> [--param <name>=<value>]… [--no-wait]',
+  '  common options: [--url <url>] [--ca <file>] [--insecure] [--retries <n>]',
+].join('\n');
+
+const VALUE_OPTIONS = ['--category', '--param', '--url', '--ca', '--retries'];
+const FLAGS = ['--overwrite', '--no-wait', '--insecure'];
+
+function usage(message) {
+  if (message) console.error(`❌  ${message}`);
+  console.error(USAGE);
+  process.exit(EXIT.USAGE);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const positional = [];
+const options = { '--param': [] };
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (FLAGS.includes(arg)) options[arg] = true;
+  else if (VALUE_OPTIONS.includes(arg)) {
+    if (args[i + 1] === undefined) usage(`${arg} needs a value`);
+    if (arg === '--param') options[arg].push(args[++i]);
+    else options[arg] = args[++i];
+  } else if (arg.startsWith('--')) usage(`unknown option ${arg}`);
+  else positional.push(arg);
+}
+if (!['import', 'run'].includes(command) || positional.length !== 1) usage();
+if (!positional[0].trim()) usage(command === 'import' ? 'no file given' : 'no workflow given – pass a workflow XML file or id');
+
+const config = await loadConfig();
+const remote = config.remote;
+const retries = options['--retries'] === undefined ? remote.retries : Number(options['--retries']);
+if (!Number.isInteger(retries) || retries < 0) usage('--retries must be a whole number ≥ 0');
+const url = options['--url'] ?? remote.url;
+if (!url) usage('no vRA URL – set VRA_URL, remote.url or --url');
+if (!process.env.VRA_REFRESH_TOKEN && !(process.env.VRA_USER && process.env.VRA_PASSWORD)) {
+  usage('no credentials – set VRA_REFRESH_TOKEN or VRA_USER and VRA_PASSWORD');
+}
+const caFile = options['--ca'] ?? remote.ca;
+let ca;
+if (caFile) {
+  try {
+    ca = await fs.readFile(caFile, 'utf8');
+  } catch (err) {
+    usage(`cannot read the CA file – ${err.message}`);
+  }
+}
+
+const client = createClient({
+  url,
+  username: process.env.VRA_USER,
+  password: process.env.VRA_PASSWORD,
+  refreshToken: process.env.VRA_REFRESH_TOKEN,
+  ca,
+  insecure: Boolean(options['--insecure']) || remote.insecure,
+  retries,
+  retryDelay: remote.retryDelay,
+  requestTimeout: remote.requestTimeout,
+  log: (message) => console.log(message),
+});
+
+// Parameter values from --param name=value.
+function paramValues() {
+  const values = {};
+  for (const param of options['--param']) {
+    const eq = param.indexOf('=');
+    if (eq < 1) usage(`--param ${param}: expected <name>=<value>`);
+    values[param.slice(0, eq)] = param.slice(eq + 1);
+  }
+  return values;
+}
+
+// Workflow id and inputs from a local XML file, or from the server.
+async function workflowOf(target) {
+  if (!/\.xml$/i.test(target)) return { id: target, name: target, inputs: await client.workflowInputs(target) };
+  let obj;
+  try {
+    obj = await loadXml(target);
+  } catch (err) {
+    usage(`${target}: ${err.message}`);
+  }
+  if (isAction(obj)) usage(`${target} is an action – only workflows can be run`);
+  const root = obj[Object.keys(obj)[0]];
+  const params = root.input?.param ?? [];
+  return {
+    id: root.id,
+    name: root['display-name']?._ ?? path.relative('.', target),
+    inputs: (Array.isArray(params) ? params : [params]).map((p) => ({ name: p.name, type: p.type })),
+  };
+}
+
+async function importCommand(file) {
+  try {
+    await fs.access(file);
+  } catch {
+    usage(`${file} does not exist`);
+  }
+  if (!file.endsWith('.package') && !options['--category']) usage('importing a workflow needs --category <id>');
+  console.log(`📦  Importing ${path.relative('.', file)} into ${url}`);
+  await client.importFile(file, { categoryId: options['--category'], overwrite: Boolean(options['--overwrite']) });
+  console.log('✅  Imported.');
+  return EXIT.OK;
+}
+
+async function runCommand(target) {
+  const workflow = await workflowOf(target);
+  if (!workflow.id) usage(`${target} has no workflow id`);
+  let parameters;
+  try {
+    parameters = executionParameters(workflow.inputs, paramValues());
+  } catch (err) {
+    usage(`${workflow.name}: ${err.message}`);
+  }
+
+  console.log(`▶️   Starting "${workflow.name}" (${workflow.id}) with ${parameters.length} parameter(s)`);
+  const executionId = await client.startExecution(workflow.id, parameters);
+  console.log(`    execution ${executionId}`);
+  if (options['--no-wait']) return EXIT.OK;
+
+  const result = await client.waitForExecution(workflow.id, executionId, {
+    interval: remote.pollInterval,
+    timeout: remote.waitTimeout,
+    onState: (state) => console.log(`    ${state}`),
+  });
+  for (const p of result['output-parameters'] ?? []) {
+    const value = p.type === 'SecureString' ? '(secure)' : JSON.stringify(plainValue(p.value));
+    console.log(`    ${p.name} = ${value}`);
+  }
+  if (result.state !== 'completed') {
+    console.error(`\n❌  Execution ${executionId} ${result.state}${result['content-exception'] ? ` – ${result['content-exception']}` : ''}`);
+    return EXIT.FAILED;
+  }
+  console.log('\n✅  Execution completed.');
+  return EXIT.OK;
+}
+
+try {
+  process.exit(await (command === 'import' ? importCommand : runCommand)(positional[0]));
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.FAILED);
+}
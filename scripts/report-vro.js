@@ -0,0 +1,156 @@
+// scripts/report-vro.js – machine-readable reports for lint & validate results
+// -----------------------------------------------------------------------------
+// • Findings share one shape across tools:
+//     { file, label, element, ruleId, severity, message,
+//       line?, column?, endLine?, endColumn? }
+//   `file` is the repository path (a .package for package contents), `label`
+//   what the console shows, `severity` one of error | warning | info.
+// • --report <format>[=<file>] (repeatable) writes json, junit, sarif or
+//   github (Actions workflow commands: ::error file=…,line=…::…). Without a
+//   file the report goes to stdout and the console output to stderr.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const GITHUB_COMMANDS = { error: 'error', warning: 'warning', info: 'notice' };
+
+const xmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const where = (f) => (f.line ? `${f.file}:${f.line}:${f.column ?? 1}` : f.label);
+
+// -----------------------------------------------------------------------------
+// Formats – each gets { tool, files, findings, rules } and returns text.
+// `files` lists every checked file so clean ones show up as passed, `rules`
+// maps rule ids to a short description where the tool has one.
+// -----------------------------------------------------------------------------
+function json({ tool, files, findings }) {
+  const count = (severity) => findings.filter((f) => f.severity === severity).length;
+  return `${JSON.stringify({
+    tool,
+    summary: { files: files.length, errors: count('error'), warnings: count('warning'), infos: count('info') },
+    findings,
+  }, null, 2)}\n`;
+}
+
+// One <testsuite> per file and one <testcase> per finding; files without
+// errors pass. Only errors fail – warnings and infos are attached as output.
+function junit({ tool, files, findings }) {
+  const testcase = (file, f) => {
+    const open = `      <testcase classname="${xmlEscape(file)}" name="${xmlEscape(`${f.element ? `${f.element}: ` : ''}${f.ruleId}`)}">`;
+    const detail = xmlEscape(`${where(f)} ${f.message}`);
+    const body = f.severity === 'error'
+      ? `        <failure type="${xmlEscape(f.ruleId)}" message="${xmlEscape(f.message)}">${detail}</failure>`
+      : `        <system-out>${f.severity}: ${detail}</system-out>`;
+    return `${open}\n${body}\n      </testcase>`;
+  };
+
+  let tests = 0;
+  const suites = files.map((file) => {
+    const own = findings.filter((f) => f.label === file);
+    const failures = own.filter((f) => f.severity === 'error').length;
+    const cases = own.length
+      ? own.map((f) => testcase(file, f))
+      : [`      <testcase classname="${xmlEscape(file)}" name="${xmlEscape(tool)}"/>`];
+    tests += cases.length;
+    return `    <testsuite name="${xmlEscape(file)}" tests="${cases.length}" failures="${failures}" errors="0">\n` +
+      `${cases.join('\n')}\n    </testsuite>\n`;
+  });
+
+  const failures = findings.filter((f) => f.severity === 'error').length;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${xmlEscape(tool)}" tests="${tests}" failures="${failures}">\n` +
+    `${suites.join('')}</testsuites>\n`;
+}
+
+// SARIF 2.1.0 – understood by GitHub code scanning and most IDEs.
+function sarif({ tool, findings, rules = new Map() }) {
+  const ruleIds = [...new Set(findings.map((f) => f.ruleId))].sort();
+  const results = findings.map((f) => ({
+    ruleId: f.ruleId,
+    ruleIndex: ruleIds.indexOf(f.ruleId),
+    level: SARIF_LEVELS[f.severity],
+    message: { text: f.label === f.file ? f.message : `${f.label}: ${f.message}` },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: f.file.split(path.sep).join('/') },
+        ...(f.line ? {
+          region: {
+            startLine: f.line,
+            startColumn: f.column ?? 1,
+            ...(f.endLine ? { endLine: f.endLine, endColumn: f.endColumn } : {}),
+          },
+        } : {}),
+      },
+      ...(f.element ? { logicalLocations: [{ name: f.element }] } : {}),
+    }],
+  }));
+
+  return `${JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: tool,
+          rules: ruleIds.map((id) => ({
+            id,
+            ...(rules.get(id) ? { shortDescription: { text: rules.get(id) } } : {}),
+          })),
+        },
+      },
+      results,
+    }],
+  }, null, 2)}\n`;
+}
+
+// https://docs.github.com/actions/using-workflows/workflow-commands-for-github-actions
+const escapeData = (s) => String(s).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+const escapeProperty = (s) => escapeData(s).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+function github({ findings }) {
+  return findings.map((f) => {
+    const props = [`file=${escapeProperty(f.file.split(path.sep).join('/'))}`];
+    if (f.line) {
+      props.push(`line=${f.line}`, `col=${f.column ?? 1}`);
+      if (f.endLine) props.push(`endLine=${f.endLine}`, `endColumn=${f.endColumn}`);
+    }
+    props.push(`title=${escapeProperty(f.element ? `${f.ruleId} (${f.element})` : f.ruleId)}`);
+    const text = f.label === f.file ? f.message : `${f.label}: ${f.message}`;
+    return `::${GITHUB_COMMANDS[f.severity]} ${props.join(',')}::${escapeData(text)}\n`;
+  }).join('');
+}
+
+const FORMATS = { json, junit, sarif, github };
+
+// Parses every --report option of `argv`. Throws on unknown formats.
+export function reportOptions(argv) {
+  const reports = [];
+  argv.forEach((arg, i) => {
+    if (arg !== '--report') return;
+    const [format, file] = (argv[i + 1] ?? '').split('=');
+    if (!FORMATS[format]) {
+      throw new Error(`unknown report format "${format}" – use one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    reports.push({ format, file });
+  });
+  return reports;
+}
+
+// Writes every requested report; `result` as described above the formats.
+export async function writeReports(reports, result) {
+  for (const { format, file } of reports) {
+    const text = FORMATS[format](result);
+    if (!file) {
+      process.stdout.write(text);
+      continue;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text, 'utf8');
+  }
+}
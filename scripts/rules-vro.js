@@ -0,0 +1,148 @@
+// scripts/rules-vro.js – rule engine behind validate-workflow.js
+// -----------------------------------------------------------------------------
+// • A rule module default-exports one rule or a list of rules:
+//     export default {
+//       id: 'no-sleep',             // stable – used in config & suppressions
+//       kind: 'workflow',           // or 'action'
+//       severity: 'warn',           // default severity: error | warn | info
+//       description: 'Workflows do not wait with System.sleep().',
+//       check({ root, source, config, actions, options }) { // may be async
+//         return [{ message: '…', node: item }];       // node is optional
+//       },
+//     };
+//   `root` is the <workflow> (or <dunes-script-module>) element, `source`
+//   the entry from loadSources(), `actions` the Set of "module/name" in the
+//   repository; action rules also get `action` (see actionMeta()). `options`
+//   is the second element of an ESLint-style setting such as
+//   "no-sleep": ["warn", { "maxSeconds": 5 }] ({} otherwise). `node` is the
+//   element, variable or parameter a finding is about.
+// • Built-in rules live in scripts/rules/; own modules are loaded from the
+//   globs in validate.ruleModules (vro-ci.config.json).
+// • Suppressions:
+//   – "[vro-ignore rule-a, rule-b]" in the description of a workflow or action
+//     silences those rules for all of it, in the description of an element,
+//     variable or parameter only for that one; "[vro-ignore]" silences every
+//     rule. Description rules do not see the marker.
+//   – The baseline file (validate.baseline) lists known findings by file, rule
+//     and message; they are reported as baselined and never fail the run.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import fg from 'fast-glob';
+import { severity } from './config-vro.js';
+
+const KINDS = ['workflow', 'action'];
+const SEVERITIES = ['info', 'warn', 'error'];
+const IGNORE_RE = /\[vro-ignore(?:\s+([^\]]*))?\]/g;
+
+function checkRule(rule, origin) {
+  const problems = [];
+  if (!rule?.id || typeof rule.id !== 'string') problems.push('rule without an id');
+  if (!KINDS.includes(rule?.kind)) problems.push(`kind must be one of ${KINDS.join(', ')}`);
+  if (rule?.severity && !SEVERITIES.includes(rule.severity)) problems.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (typeof rule?.check !== 'function') problems.push('check() is missing');
+  if (problems.length) throw new Error(`${origin}: invalid rule ${rule?.id ?? ''} – ${problems.join('; ')}`);
+}
+
+// `builtIn` rules first, then the modules from the config. Returns a Map
+// id → rule; an id may only be defined once.
+export async function loadRules(config, builtIn = []) {
+  const rules = new Map();
+  const add = (list, origin) => {
+    for (const rule of [].concat(list)) {
+      checkRule(rule, origin);
+      if (rules.has(rule.id)) throw new Error(`${origin}: rule ${rule.id} is already defined`);
+      rules.set(rule.id, rule);
+    }
+  };
+
+  add(builtIn, 'scripts/rules');
+  for (const file of await fg(config.validate.ruleModules, { dot: true, ignore: config.exclude })) {
+    add((await import(pathToFileURL(path.resolve(file)).href)).default, file);
+  }
+  return rules;
+}
+
+// -----------------------------------------------------------------------------
+// Suppression markers
+// -----------------------------------------------------------------------------
+// XML elements carry <description> as { _: text }, action parameters (see
+// actionMeta) as a plain string.
+const rawDescription = (node) => {
+  const desc = node?.description;
+  return (typeof desc === 'object' ? desc?._ : desc) ?? '';
+};
+
+// The description without suppression markers – what description rules check.
+export function descriptionOf(node) {
+  return rawDescription(node).replace(IGNORE_RE, '').trim();
+}
+
+// true when `node`'s description silences `ruleId`.
+function ignores(node, ruleId) {
+  for (const [, list] of rawDescription(node).matchAll(IGNORE_RE)) {
+    if (!list?.trim()) return true;
+    if (list.split(/[\s,]+/).includes(ruleId)) return true;
+  }
+  return false;
+}
+
+// Runs every rule of `kind` on one workflow or action. Returns findings
+// { rule, severity, message, node } with the configured severity; rules set
+// to "off" and suppressed findings are left out.
+export async function runRules(rules, kind, context) {
+  const findings = [];
+  for (const rule of rules.values()) {
+    if (rule.kind !== kind) continue;
+    const setting = context.config.validate.rules[rule.id];
+    const [value, options = {}] = Array.isArray(setting) ? setting : [setting];
+    const level = severity(value) ?? rule.severity ?? 'error';
+    if (level === 'off' || ignores(context.root, rule.id)) continue;
+
+    for (const { message, node } of await rule.check({ ...context, options })) {
+      if (node && ignores(node, rule.id)) continue;
+      findings.push({ rule: rule.id, severity: level, message, node });
+    }
+  }
+  return findings;
+}
+
+// -----------------------------------------------------------------------------
+// Baseline
+// -----------------------------------------------------------------------------
+const fingerprint = ({ file, rule, message }) => JSON.stringify([file, rule, message]);
+
+export async function readBaseline(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+// Marks findings ({ file, rule, message, … }) listed in the baseline as
+// `baselined`. A baseline entry covers one finding, so a second occurrence
+// of the same problem is new. Returns the number of entries that no longer
+// occur – they can be dropped with --update-baseline.
+export function applyBaseline(findings, baseline) {
+  const known = new Map();
+  for (const entry of baseline) known.set(fingerprint(entry), (known.get(fingerprint(entry)) ?? 0) + 1);
+  for (const finding of findings) {
+    const left = known.get(fingerprint(finding));
+    if (left) {
+      finding.baselined = true;
+      known.set(fingerprint(finding), left - 1);
+    }
+  }
+  return [...known.values()].reduce((sum, n) => sum + n, 0);
+}
+
+export async function writeBaseline(file, findings) {
+  const entries = findings
+    .map(({ file: f, rule, message }) => ({ file: f, rule, message }))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.rule.localeCompare(b.rule) || a.message.localeCompare(b.message));
+  await fs.writeFile(file, `${JSON.stringify(entries, null, 2)}\n`, 'utf8');
+}
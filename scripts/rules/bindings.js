@@ -0,0 +1,81 @@
+// scripts/rules/bindings.js – binding data flow between elements and variables
+// -----------------------------------------------------------------------------
+// Unknown export-names, out-bindings that write to inputs, bind types that
+// differ from the variable type, unbound attributes, outputs never written.
+// -----------------------------------------------------------------------------
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+
+// "Any" is assignable in both directions in vRO, so it never conflicts.
+function typesCompatible(bindType, varType) {
+  if (!bindType || !varType) return true;
+  if (bindType === 'Any' || varType === 'Any') return true;
+  return bindType === varType;
+}
+
+function validateBindings(wf) {
+  const problems = [];
+  const inputs = collect(wf.input?.param);
+  const outputs = collect(wf.output?.param);
+  const attribs = collect(wf.attrib);
+
+  const variables = new Map();
+  for (const [kind, list] of [['input', inputs], ['output', outputs], ['attribute', attribs]]) {
+    for (const v of list) if (v?.name) variables.set(v.name, { kind, type: v.type });
+  }
+
+  const read = new Set();
+  const written = new Set();
+  const elements = [...collect(wf['workflow-item']), ...collect(wf['error-handler'])];
+
+  for (const el of elements) {
+    const elName = el['display-name']?._ ?? el.name ?? 'unknown';
+    const problem = (message) => problems.push({ message, node: el });
+
+    for (const [dir, seen] of [['in', read], ['out', written]]) {
+      for (const bind of collect(el[`${dir}-binding`]?.bind)) {
+        const target = bind['export-name'];
+        if (!target) continue; // NULL binding – nothing to resolve
+
+        seen.add(target);
+        const variable = variables.get(target);
+        if (!variable) {
+          problem(`workflow-item "${elName}" ${dir}-binding "${bind.name}" points to unknown variable "${target}"`);
+          continue;
+        }
+        if (dir === 'out' && variable.kind === 'input') {
+          problem(`workflow-item "${elName}" out-binding "${bind.name}" writes to input parameter "${target}"`);
+        }
+        if (!typesCompatible(bind.type, variable.type)) {
+          problem(`workflow-item "${elName}" ${dir}-binding "${bind.name}" has type ${bind.type} but ${variable.kind} "${target}" is ${variable.type}`);
+        }
+      }
+    }
+
+    // Error handlers / end items write the caught error into a variable,
+    // switch and decision conditions read the variable they test.
+    if (el['throw-bind-name']) written.add(el['throw-bind-name']);
+    for (const cond of collect(el.condition)) if (cond?.name) read.add(cond.name);
+  }
+
+  for (const a of attribs) {
+    if (a?.name && !read.has(a.name) && !written.has(a.name)) {
+      problems.push({ message: `attribute "${a.name}" is never bound to any workflow-item`, node: a });
+    }
+  }
+  for (const o of outputs) {
+    if (o?.name && !written.has(o.name)) {
+      problems.push({ message: `output "${o.name}" is never written by any workflow-item`, node: o });
+    }
+  }
+  return problems;
+}
+
+export default {
+  id: 'bindings',
+  kind: 'workflow',
+  description: 'Bindings point to existing variables of a compatible type; attributes and outputs are used.',
+  check({ root }) {
+    return validateBindings(root);
+  },
+};
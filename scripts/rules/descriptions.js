@@ -0,0 +1,82 @@
+// scripts/rules/descriptions.js – every documented thing says something useful
+// -----------------------------------------------------------------------------
+// Thresholds and the default template texts come from the validate section of
+// vro-ci.config.json.
+// -----------------------------------------------------------------------------
+
+import { descriptionOf } from '../rules-vro.js';
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+
+function isSameChar(text) {
+  return /^(\w)\1*$/.test(text);
+}
+function isSameWord(text) {
+  return /^(\b\w+\b)( \1)*$/.test(text);
+}
+
+function validateWorkflowDescription(desc, minLength) {
+  if (!desc) return 'Workflow description missing';
+  if (desc.length < minLength) return `Workflow description too short (<${minLength} chars)`;
+  if (isSameChar(desc) || isSameWord(desc)) return 'Workflow description invalid (repetitions)';
+  return 'valid';
+}
+
+function validateItemDescription(desc, itemName, { itemDescriptionMinLength, invalidDefaultTexts }) {
+  if (!desc) return 'No description text found';
+  if (desc === itemName) return 'Description equals the item name';
+  if (invalidDefaultTexts.includes(desc)) return 'Default template description';
+  if (desc.length < itemDescriptionMinLength) return `Schema description too short (<${itemDescriptionMinLength} chars)`;
+  if (isSameChar(desc) || isSameWord(desc)) return 'Invalid description text (repetitions)';
+  return 'valid';
+}
+
+export default [
+  {
+    id: 'workflow-description',
+    kind: 'workflow',
+    description: 'The workflow has a meaningful description of a minimum length.',
+    check({ root, config }) {
+      const result = validateWorkflowDescription(descriptionOf(root), config.validate.workflowDescriptionMinLength);
+      return result === 'valid' ? [] : [{ message: result }];
+    },
+  },
+  {
+    id: 'variable-description',
+    kind: 'workflow',
+    description: 'Inputs, outputs and attributes have a non-empty <description>.',
+    check({ root }) {
+      return [...collect(root.input?.param), ...collect(root.output?.param), ...collect(root.attrib)]
+        .filter((v) => v?.name && !descriptionOf(v))
+        .map((v) => ({ message: `variable "${v.name}" is missing <description>`, node: v }));
+    },
+  },
+  {
+    id: 'item-description',
+    kind: 'workflow',
+    description: 'Schema elements (except start/end/link) have a meaningful description.',
+    check({ root, config }) {
+      const findings = [];
+      for (const item of collect(root['workflow-item'])) {
+        if (item.type === 'end' || item.type === 'start' || item.type === 'link') continue; // technical nodes
+
+        const itemName = item['display-name']?._ ?? item.name ?? 'unknown';
+        const result = validateItemDescription(descriptionOf(item), itemName, config.validate);
+        if (result !== 'valid') {
+          findings.push({ message: `workflow-item "${itemName}" invalid description – ${result}`, node: item });
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'action-param-description',
+    kind: 'action',
+    description: 'Action parameters have a description.',
+    check({ action }) {
+      return action.params
+        .filter((p) => p.name && !descriptionOf(p))
+        .map((p) => ({ message: `action parameter "${p.name}" is missing a description`, node: p }));
+    },
+  },
+];
@@ -0,0 +1,22 @@
+// scripts/rules/form.js – forms/_.json next to the workflow (see forms-vro.js)
+// -----------------------------------------------------------------------------
+// Malformed form JSON is a finding, not something to skip. Package elements
+// carry no forms/ folder.
+// -----------------------------------------------------------------------------
+
+import { checkForm, loadForm } from '../forms-vro.js';
+
+export default {
+  id: 'form',
+  kind: 'workflow',
+  description: 'The custom form matches the workflow inputs and the actions in the repository.',
+  async check({ root, source, actions }) {
+    if (source.entry) return [];
+    try {
+      const form = await loadForm(source.file);
+      return (form ? checkForm(form.json, root, actions) : []).map((message) => ({ message }));
+    } catch (err) {
+      return [{ message: err.message }];
+    }
+  },
+};
@@ -0,0 +1,11 @@
+// scripts/rules/index.js – built-in validate rules (see rules-vro.js)
+// -----------------------------------------------------------------------------
+
+import bindings from './bindings.js';
+import descriptions from './descriptions.js';
+import form from './form.js';
+import naming from './naming.js';
+import schemaGraph from './schema-graph.js';
+import secrets from './secrets.js';
+
+export default [...descriptions, ...naming, bindings, schemaGraph, form, ...secrets];
@@ -0,0 +1,54 @@
+// scripts/rules/naming.js – naming conventions for variables and parameters
+// -----------------------------------------------------------------------------
+// • lowerCamelCase for regular variables and action parameters
+// • UPPER_CASE     for constants (heuristic: attribute read-only="true")
+// -----------------------------------------------------------------------------
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+
+const CAMEL_CASE_RE = /^[a-z]+(?:[A-Z][a-z0-9]*)*$/;      // e.g., myVariable
+const UPPER_CASE_RE = /^[A-Z0-9_]+$/;                    // e.g., MY_CONST
+
+function isConstant(attr) {
+  return (
+    attr['read-only'] === 'true' ||
+    attr.readOnly === true ||
+    attr['readOnly'] === 'true'
+  );
+}
+
+function validateName(name, constant) {
+  return constant ? UPPER_CASE_RE.test(name) : CAMEL_CASE_RE.test(name);
+}
+
+export default [
+  {
+    id: 'variable-naming',
+    kind: 'workflow',
+    description: 'Inputs, outputs and attributes are camelCase, constants UPPER_CASE.',
+    check({ root }) {
+      const findings = [];
+      for (const v of [...collect(root.input?.param), ...collect(root.output?.param), ...collect(root.attrib)]) {
+        if (!v?.name) continue;
+        const constant = isConstant(v);
+        if (!validateName(v.name, constant)) {
+          findings.push({
+            message: `variable "${v.name}" violates naming convention (expected ${constant ? 'UPPER_CASE' : 'camelCase'})`,
+            node: v,
+          });
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'action-param-naming',
+    kind: 'action',
+    description: 'Action parameters are camelCase.',
+    check({ action }) {
+      return action.params
+        .filter((p) => p.name && !validateName(p.name, false))
+        .map((p) => ({ message: `action parameter "${p.name}" violates naming convention (expected camelCase)`, node: p }));
+    },
+  },
+];
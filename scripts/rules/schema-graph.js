@@ -0,0 +1,13 @@
+// scripts/rules/schema-graph.js – schema graph integrity (see graph-vro.js)
+// -----------------------------------------------------------------------------
+
+import { buildGraph, checkGraph } from '../graph-vro.js';
+
+export default {
+  id: 'schema-graph',
+  kind: 'workflow',
+  description: 'No unreachable items, dangling links, dead ends, switches without default or exitless cycles.',
+  check({ root }) {
+    return checkGraph(buildGraph(root));
+  },
+};
@@ -0,0 +1,102 @@
+// scripts/rules/secrets.js – no credentials or environment-specific hosts
+// -----------------------------------------------------------------------------
+// • Stored SecureString values, credentials and token-like strings in scripts
+//   and attribute values.
+// • Literal IP addresses and host names – they belong in a configuration
+//   element, so the same workflow runs in every environment.
+// Detection is shared with docs-workflow.js, which redacts what it finds; the
+// allowlist and the entropy threshold come from validate.secrets.
+// -----------------------------------------------------------------------------
+
+import { scanScript, scanValue } from '../secrets-vro.js';
+
+const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
+const text = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+// vRO writes "__NULL__" for attributes without a value.
+const storedValue = (attr) => {
+  const value = text(attr.value);
+  return value === '__NULL__' ? '' : value;
+};
+const isSecure = (attr) => /(?:^|\/)SecureString$/.test(attr.type ?? '');
+
+function scriptedElements(root) {
+  return [...collect(root['workflow-item']), ...collect(root['error-handler'])]
+    .filter((el) => text(el.script))
+    .map((el) => ({ el, label: text(el['display-name']) || el.name, code: text(el.script) }));
+}
+
+// One finding per host and place, however often it is repeated there.
+function hostFindings(hosts, where, node) {
+  const seen = new Set();
+  return hosts
+    .filter(({ host }) => !seen.has(host) && seen.add(host))
+    .map(({ kind, host }) => ({ message: `${where}: ${kind} ${host} – read it from a configuration element`, node }));
+}
+
+export default [
+  {
+    id: 'secure-string-value',
+    kind: 'workflow',
+    description: 'SecureString attributes do not store a value in the workflow.',
+    check({ root }) {
+      return collect(root.attrib)
+        .filter((attr) => isSecure(attr) && storedValue(attr))
+        .map((attr) => ({
+          message: `SecureString attribute "${attr.name}" stores a value – bind it to a configuration element instead`,
+          node: attr,
+        }));
+    },
+  },
+  {
+    id: 'hardcoded-secret',
+    kind: 'workflow',
+    description: 'Scripts and attribute values contain no credentials, keys or tokens.',
+    check({ root, config }) {
+      const findings = [];
+      for (const { el, label, code } of scriptedElements(root)) {
+        for (const { kind } of scanScript(code, config.validate.secrets).secrets) {
+          findings.push({ message: `element "${label}": ${kind} in the script`, node: el });
+        }
+      }
+      for (const attr of collect(root.attrib).filter((a) => !isSecure(a))) {
+        for (const { kind } of scanValue(attr.name, storedValue(attr), config.validate.secrets).secrets) {
+          findings.push({ message: `attribute "${attr.name}": ${kind} stored as its value`, node: attr });
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'hardcoded-host',
+    kind: 'workflow',
+    severity: 'warn',
+    description: 'Scripts and attribute values contain no literal IP addresses or host names.',
+    check({ root, config }) {
+      return [
+        ...scriptedElements(root).flatMap(({ el, label, code }) =>
+          hostFindings(scanScript(code, config.validate.secrets).hosts, `element "${label}"`, el)),
+        ...collect(root.attrib).filter((a) => !isSecure(a)).flatMap((attr) =>
+          hostFindings(scanValue(attr.name, storedValue(attr), config.validate.secrets).hosts, `attribute "${attr.name}"`, attr)),
+      ];
+    },
+  },
+  {
+    id: 'action-hardcoded-secret',
+    kind: 'action',
+    description: 'Action scripts contain no credentials, keys or tokens.',
+    check({ action, config }) {
+      return scanScript(action.script, config.validate.secrets).secrets
+        .map(({ kind }) => ({ message: `${kind} in the script` }));
+    },
+  },
+  {
+    id: 'action-hardcoded-host',
+    kind: 'action',
+    severity: 'warn',
+    description: 'Action scripts contain no literal IP addresses or host names.',
+    check({ action, config }) {
+      return hostFindings(scanScript(action.script, config.validate.secrets).hosts, 'script');
+    },
+  },
+];
@@ -0,0 +1,281 @@
+// scripts/runtime-vro.js – offline vRO scripting runtime on top of node:vm
+// -----------------------------------------------------------------------------
+// • createRuntime() builds mocked `System`, `Server`, `LockingSystem`,
+//   `Config`, `workflow` and `Properties` objects. Anything a script needs
+//   beyond logging can be supplied through stubs:
+//     { actions:   { "module/name": value | (…args) => value },
+//       workflows: { "<id>": { outputName: value } },
+//       System: { … }, Server: { … }, Config: { … } }   // merged over the mocks
+//   System.getModule() runs actions from the repository when no stub exists.
+// • runScript() executes one element script with its in-bindings as globals
+//   and returns its out-bindings (or its return value for decisions/actions).
+// • decide() picks the branch of a decision or switch element.
+// • runWorkflow() walks the schema graph: out-name, decisions, switches,
+//   catch-name and error handlers, nested workflows from the repository.
+// • node:vm is not a security boundary – only run scripts you trust.
+// -----------------------------------------------------------------------------
+
+import vm from 'node:vm';
+import { randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { actionMeta } from './parse-vro.js';
+import { buildGraph } from './graph-vro.js';
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+const txt = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+const SCRIPT_TIMEOUT_MS = 10000;
+const MAX_STEPS = 10000; // guards against loops that never reach an end item
+
+class Properties {
+  constructor(init = {}) {
+    this.map = new Map(Object.entries(init));
+  }
+  get(key) { return this.map.get(key) ?? null; }
+  put(key, value) { this.map.set(key, value); }
+  remove(key) { this.map.delete(key); }
+  keys() { return [...this.map.keys()]; }
+  get length() { return this.map.size; }
+}
+
+// Stubs may be JSON or an ES module (default export) when they need functions.
+export async function loadStubs(file) {
+  if (!file) return {};
+  if (file.endsWith('.json')) return JSON.parse(await fs.readFile(file, 'utf8'));
+  return (await import(pathToFileURL(path.resolve(file)).href)).default;
+}
+
+// `actions` maps "module/name" to action sources (see loadSources) so that
+// System.getModule() can run real action code; `log` receives every
+// System/Server log line as { level, message }.
+export function createRuntime({ stubs = {}, actions = new Map(), log = () => {} } = {}) {
+  const runtime = { stubs, actions, log };
+
+  const logger = (prefix) =>
+    Object.fromEntries(['log', 'warn', 'error', 'debug'].map((level) =>
+      [level, (message) => log({ level, message: `${prefix}${String(message)}` })]));
+
+  const callAction = (fqn, args) => {
+    if (stubs.actions && fqn in stubs.actions) {
+      const stub = stubs.actions[fqn];
+      return typeof stub === 'function' ? stub(...args) : stub;
+    }
+    const source = actions.get(fqn);
+    if (!source) throw new Error(`Action ${fqn} is not in the repository – add a stub for it`);
+    const action = actionMeta(source.obj);
+    return runScript(action.script, {
+      mode: 'function',
+      params: action.params.map((p) => p.name),
+      args,
+      runtime,
+    }).result;
+  };
+
+  runtime.globals = {
+    System: {
+      ...logger(''),
+      sleep() {},
+      getCurrentTime: () => Date.now(),
+      nextUUID: () => randomUUID(),
+      getModule: (module) =>
+        new Proxy({}, { get: (_, name) => (...args) => callAction(`${module}/${String(name)}`, args) }),
+      ...stubs.System,
+    },
+    Server: {
+      ...logger('[server] '),
+      getWorkflowWithId: (id) => ({ id, name: id }),
+      ...stubs.Server,
+    },
+    LockingSystem: {
+      lock: () => true,
+      lockAndWait() {},
+      unlock() {},
+      unlockAll() {},
+      ...stubs.LockingSystem,
+    },
+    Config: { ...stubs.Config },
+    Properties,
+    workflow: { id: randomUUID(), name: 'simulation', ...stubs.workflow },
+  };
+  return runtime;
+}
+
+// mode "script": plain script, out-bindings are read back from its globals
+// (Scriptable Tasks). mode "function": body of a function so that `return`
+// works (custom decisions, actions); `params`/`args` become its arguments.
+export function runScript(code, { mode = 'script', bindings = {}, outputs = [], params = [], args = [], runtime }) {
+  const context = vm.createContext({ ...runtime.globals, ...bindings, __args: args });
+  if (mode === 'function') {
+    const wrapped = `(function (${params.join(', ')}) {\n${code}\n}).apply(this, __args)`;
+    return { result: vm.runInContext(wrapped, context, { timeout: SCRIPT_TIMEOUT_MS }), outputs: {} };
+  }
+  vm.runInContext(code, context, { timeout: SCRIPT_TIMEOUT_MS });
+  return { outputs: Object.fromEntries(outputs.map((name) => [name, context[name]])) };
+}
+
+// -----------------------------------------------------------------------------
+// Workflow execution
+// -----------------------------------------------------------------------------
+
+// Attribute <value> text for the simple types; complex encodings stay text.
+function initialValue(attr) {
+  const raw = attr.value?._;
+  if (raw === undefined || raw === '') return undefined;
+  if (attr.type === 'number') return Number(raw);
+  if (attr.type === 'boolean') return raw === 'true';
+  return raw;
+}
+
+// Typed comparison of a <condition> without a generated script. Only
+// comparator 0 (equals – "is true" for a boolean without a value) is read
+// offline; the codes of the other comparators differ by type, so they fail
+// the run instead of guessing.
+function compare(condition, actual) {
+  const comparator = String(condition.comparator ?? '0');
+  if (comparator !== '0') {
+    throw new Error(`comparator ${comparator} on "${condition.name}" needs the element's generated script to run offline`);
+  }
+  const expected = txt(condition).trim();
+  switch (condition.type) {
+    case 'boolean': return actual === (expected === '' || expected === 'true');
+    case 'number': return expected !== '' && Number(actual) === Number(expected);
+    default: return String(actual ?? '') === expected;
+  }
+}
+
+const readBindings = (el, variables) =>
+  Object.fromEntries(collect(el['in-binding']?.bind).map((b) => [b.name, variables[b['export-name']]]));
+
+const writeBindings = (el, variables, values) => {
+  for (const b of collect(el['out-binding']?.bind)) {
+    if (b['export-name'] && b.name in values) variables[b['export-name']] = values[b.name];
+  }
+};
+
+// Where a decision (type "condition") or switch element goes, as
+// { decision, next }: true/false for a decision, the matching condition
+// ("default" if none) for a switch. vRO generates the script of a decision
+// from its <condition> elements ("return (isLarge == true);") and runs that,
+// so the script decides here too when there is one.
+export function decide(el, variables, runtime) {
+  const conditions = collect(el.condition);
+  if (el.type === 'switch') {
+    const match = conditions.find((c) => compare(c, variables[c.name]));
+    return { decision: match ? txt(match).trim() : 'default', next: match ? match.label : el['out-name'] };
+  }
+  let result;
+  if (txt(el.script).trim()) {
+    const bindings = { ...Object.fromEntries(conditions.map((c) => [c.name, variables[c.name]])), ...readBindings(el, variables) };
+    result = Boolean(runScript(txt(el.script), { mode: 'function', bindings, runtime }).result);
+  } else {
+    result = conditions.every((c) => compare(c, variables[c.name]));
+  }
+  return { decision: result, next: result ? el['out-name'] : el['alt-out-name'] };
+}
+
+// Runs a workflow (xml object) with `inputs`. `workflows` maps ids to
+// workflow sources for nested calls. Returns { status, outputs, variables,
+// trace }; status is "completed" or "failed" (with `error`).
+export function runWorkflow(xmlObj, inputs, runtime, { workflows = new Map(), depth = 0 } = {}) {
+  const root = xmlObj[Object.keys(xmlObj)[0]];
+  const graph = buildGraph(root);
+  const trace = [];
+  const variables = {};
+
+  for (const a of collect(root.attrib)) variables[a.name] = initialValue(a);
+  for (const p of collect(root.input?.param)) variables[p.name] = inputs[p.name];
+
+  const handler = collect(root['error-handler'])[0];
+  let current = graph.start;
+  let error;
+  let lastError; // reported by error ends whose throw-bind-name is unset
+
+  for (let step = 0; current && step < MAX_STEPS; step++) {
+    const node = graph.nodes.get(current);
+    if (!node) {
+      error = new Error(`element "${current}" does not exist`);
+      break;
+    }
+    const el = node.el;
+    const entry = { element: txt(el['display-name']) || el.name, type: el.type ?? 'error-handler', depth };
+    trace.push(entry);
+
+    try {
+      let next = el['out-name'];
+      switch (el.type) {
+        case 'end':
+          // An error end fails the workflow; it is not routed to handlers.
+          if (el['end-mode'] === '1') {
+            const reason = variables[el['throw-bind-name']] ?? lastError;
+            error = new Error(reason ? `ended with error: ${reason}` : 'ended with error');
+          }
+          next = undefined;
+          break;
+        case 'task': {
+          const { outputs } = runScript(txt(el.script), {
+            bindings: readBindings(el, variables),
+            outputs: collect(el['out-binding']?.bind).map((b) => b.name),
+            runtime,
+          });
+          writeBindings(el, variables, outputs);
+          entry.outputs = outputs;
+          break;
+        }
+        case 'custom-condition': {
+          const { result } = runScript(txt(el.script), { mode: 'function', bindings: readBindings(el, variables), runtime });
+          entry.decision = Boolean(result);
+          next = result ? el['out-name'] : el['alt-out-name'];
+          break;
+        }
+        case 'condition':
+        case 'switch':
+          ({ decision: entry.decision, next } = decide(el, variables, runtime));
+          break;
+        case 'link': {
+          const id = el['linked-workflow-id'];
+          const args = readBindings(el, variables);
+          let outputs;
+          if (runtime.stubs.workflows && id in runtime.stubs.workflows) {
+            outputs = runtime.stubs.workflows[id];
+          } else if (workflows.has(id)) {
+            const nested = runWorkflow(workflows.get(id).obj, args, runtime, { workflows, depth: depth + 1 });
+            trace.push(...nested.trace);
+            if (nested.status === 'failed') throw nested.error;
+            outputs = nested.outputs;
+          } else {
+            throw new Error(`linked workflow ${id} is not in the repository – add a stub for it`);
+          }
+          writeBindings(el, variables, outputs);
+          entry.outputs = outputs;
+          break;
+        }
+        default:
+          entry.skipped = true; // user interactions, waits, foreach… follow out-name
+      }
+      current = next;
+    } catch (err) {
+      entry.error = err?.message ?? String(err);
+      lastError = entry.error;
+      const throwBind = el['throw-bind-name'];
+      if (el['catch-name']) {
+        if (throwBind) variables[throwBind] = entry.error;
+        current = el['catch-name'];
+      } else if (handler && el.name !== handler.name) {
+        if (handler['throw-bind-name']) variables[handler['throw-bind-name']] = entry.error;
+        current = handler.name;
+      } else {
+        // Errors thrown inside the sandbox belong to another realm.
+        error = new Error(entry.error);
+        break;
+      }
+    }
+  }
+
+  if (!error && current) error = new Error(`exceeded ${MAX_STEPS} steps – endless loop?`);
+  const outputs = Object.fromEntries(collect(root.output?.param).map((p) => [p.name, variables[p.name]]));
+  return error
+    ? { status: 'failed', error, outputs, variables, trace }
+    : { status: 'completed', outputs, variables, trace };
+}
@@ -0,0 +1,199 @@
+// scripts/scaffold-vro.js – workflow XML from a declarative spec
+// -----------------------------------------------------------------------------
+// • loadSpec(file) reads a YAML or JSON spec, checks it and reads the task
+//   script files (relative to the spec):
+//     name: Create VM
+//     description: Creates a virtual machine from a template and returns its IP.
+//     version: 1.0.0                     # default 0.1.0
+//     form: true                         # also write forms/_.json
+//     inputs:
+//       - { name: vmName, type: string, description: Name of the VM, required: true }
+//     outputs:
+//       - { name: resultIp, type: string, description: Primary IP address }
+//     attribs:
+//       - { name: template, type: string, description: Template to clone, value: w2k22 }
+//     tasks:
+//       - name: Clone VM
+//         description: Clones the template and reads back the IP
+//         script: clone-vm.js            # without one the task gets a stub
+//         in: [vmName, template]         # or { localName: variable }
+//         out: [resultIp]
+// • workflowXml(spec) builds the workflow in canonical form (format-vro.js):
+//   fresh id, tasks in a row from the start position to a single end item,
+//   every binding typed like its variable.
+// • A stub script assigns each out-binding, so it passes lint as it is.
+// -----------------------------------------------------------------------------
+
+import { randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { writeXml } from './parse-vro.js';
+import { formatXml } from './format-vro.js';
+
+const NAMESPACE = 'http://vmware.com/vco/workflow';
+// Layout: the start sits at START, tasks follow every STEP pixels.
+const START = { x: 100, y: 50 };
+const STEP = 160;
+
+const element = (name, attributes = [], children = []) => ({ type: 'element', name, attributes, children });
+const cdata = (value) => ({ type: 'cdata', value });
+const position = (x, y) => element('position', [['x', x.toFixed(1)], ['y', y.toFixed(1)]]);
+const described = (text) => element('description', [], [cdata(text)]);
+
+function parseSpec(file, text) {
+  try {
+    return /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message.split('\n')[0]}`);
+  }
+}
+
+const asList = (value, where, problems) => {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value;
+  problems.push(`${where} must be a list`);
+  return [];
+};
+
+// "in"/"out" of a task – a list of variable names or { localName: variable }.
+function bindings(value, where, variables, problems) {
+  if (value === undefined || value === null) return [];
+  let pairs;
+  if (Array.isArray(value)) pairs = value.map((name) => [name, name]);
+  else if (typeof value === 'object') pairs = Object.entries(value);
+  else {
+    problems.push(`${where} must be a list of variables or a { localName: variable } map`);
+    return [];
+  }
+  return pairs.flatMap(([name, variable]) => {
+    if (!variables.has(variable)) {
+      problems.push(`${where}: unknown variable "${variable}"`);
+      return [];
+    }
+    return [{ name: String(name), variable, type: variables.get(variable).type }];
+  });
+}
+
+// Reads, checks and completes a spec; throws with every problem found.
+export async function loadSpec(file) {
+  const spec = parseSpec(file, await fs.readFile(file, 'utf8'));
+  if (!spec || typeof spec !== 'object') throw new Error(`${file}: the spec must be an object`);
+
+  const problems = [];
+  if (!spec.name) problems.push('name is missing');
+  if (!spec.description) problems.push('description is missing');
+
+  const variables = new Map();
+  const variableList = (key) =>
+    asList(spec[key], key, problems).map((v, i) => {
+      const where = `${key}[${i}]`;
+      if (!v?.name) problems.push(`${where}: name is missing`);
+      else if (variables.has(v.name)) problems.push(`${where}: variable "${v.name}" is defined twice`);
+      if (!v?.description) problems.push(`${where}: description is missing`);
+      const variable = {
+        name: v?.name,
+        type: v?.type ?? 'string',
+        description: v?.description ?? '',
+        required: Boolean(v?.required),
+        readOnly: Boolean(v?.readOnly),
+        value: v?.value === undefined ? undefined : String(v.value),
+      };
+      if (v?.name) variables.set(v.name, variable);
+      return variable;
+    });
+  const inputs = variableList('inputs');
+  const outputs = variableList('outputs');
+  const attribs = variableList('attribs');
+
+  const names = new Set();
+  const tasks = [];
+  for (const [i, task] of asList(spec.tasks, 'tasks', problems).entries()) {
+    const where = `tasks[${i}]`;
+    if (!task?.name) problems.push(`${where}: name is missing`);
+    else if (names.has(task.name)) problems.push(`${where}: task "${task.name}" is defined twice`);
+    else names.add(task.name);
+    if (!task?.description) problems.push(`${where}: description is missing`);
+
+    let code;
+    if (task?.script) {
+      const scriptFile = path.resolve(path.dirname(file), task.script);
+      code = await fs.readFile(scriptFile, 'utf8').catch(() => {
+        problems.push(`${where}: cannot read script ${path.relative('.', scriptFile)}`);
+        return '';
+      });
+    }
+    tasks.push({
+      name: task?.name,
+      description: task?.description ?? '',
+      in: bindings(task?.in, `${where}.in`, variables, problems),
+      out: bindings(task?.out, `${where}.out`, variables, problems),
+      code,
+    });
+  }
+
+  if (problems.length) throw new Error(`${file}:\n  ${problems.join('\n  ')}`);
+  return {
+    name: spec.name,
+    description: spec.description,
+    version: String(spec.version ?? '0.1.0'),
+    form: Boolean(spec.form),
+    inputs,
+    outputs,
+    attribs,
+    tasks,
+  };
+}
+
+function stubScript(task) {
+  const lines = [`// ${task.description}`];
+  for (const { name } of task.out) lines.push(`${name} = null;`);
+  return lines.join('\n');
+}
+
+const param = (v) => element('param', [['name', v.name], ['type', v.type]], [described(v.description)]);
+const binding = (kind, list) =>
+  element(`${kind}-binding`, [], list.map((b) => element('bind', [['name', b.name], ['type', b.type], ['export-name', b.variable]])));
+
+// Canonical workflow XML for a loadSpec() result.
+export function workflowXml(spec) {
+  // item0 is the end, item1… the tasks in order.
+  const end = 'item0';
+  const items = spec.tasks.map((task, i) =>
+    element('workflow-item', [['name', `item${i + 1}`], ['out-name', i + 1 < spec.tasks.length ? `item${i + 2}` : end], ['type', 'task']], [
+      element('display-name', [], [cdata(task.name)]),
+      element('script', [['encoded', 'false']], [cdata((task.code ?? stubScript(task)).trimEnd())]),
+      binding('in', task.in),
+      binding('out', task.out),
+      described(task.description),
+      position(START.x + STEP * (i + 1), START.y + 10),
+    ]));
+  items.unshift(element('workflow-item', [['name', end], ['type', 'end'], ['end-mode', '0']], [
+    element('in-binding'),
+    position(START.x + STEP * (spec.tasks.length + 1), START.y),
+  ]));
+
+  const root = element('ns2:workflow', [
+    ['xmlns:ns2', NAMESPACE],
+    ['root-name', spec.tasks.length ? 'item1' : end],
+    ['object-name', 'workflow:name=generic'],
+    ['id', randomUUID()],
+    ['version', spec.version],
+    ['api-version', '6.0.0'],
+    ['restartMode', '1'],
+    ['resumeFromFailedMode', '0'],
+  ], [
+    element('display-name', [], [cdata(spec.name)]),
+    described(spec.description),
+    position(START.x, START.y),
+    ...(spec.inputs.length ? [element('input', [], spec.inputs.map(param))] : []),
+    ...(spec.outputs.length ? [element('output', [], spec.outputs.map(param))] : []),
+    ...spec.attribs.map((a) => element('attrib', [['name', a.name], ['type', a.type], ['read-only', String(a.readOnly)]], [
+      element('value', [['encoded', 'n']], [cdata(a.value ?? '__NULL__')]),
+      described(a.description),
+    ])),
+    ...items,
+    element('presentation'),
+  ]);
+  return formatXml(writeXml({ type: 'document', children: [root] }));
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// scaffold-workflow.js – creates a workflow from a YAML/JSON spec
+// -----------------------------------------------------------------------------
+// Usage: node scripts/scaffold-workflow.js <spec.yml|spec.json> [--out <dir>] [--force]
+// • Writes <dir>/workflow.xml (default: the directory of the spec) and, with
+//   "form: true" in the spec, <dir>/forms/_.json – see scaffold-vro.js for
+//   the spec format.
+// • The result is checked before anything is written: the validate rules
+//   (with the severities from vro-ci.config.json), the form check and ESLint
+//   on every script. Error-level findings stop the run, so what is written
+//   passes validate-workflow.js and lint-workflow.js as it is.
+// • Existing files are only overwritten with --force; the workflow then gets
+//   a new id.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { extractScripts, parseXml } from './parse-vro.js';
+import { checkForm, formPath, formSkeleton } from './forms-vro.js';
+import { loadSpec, workflowXml } from './scaffold-vro.js';
+import { scriptLinter } from './lint-vro.js';
+import { loadRules, runRules } from './rules-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+import builtInRules from './rules/index.js';
+
+const USAGE = 'Usage: node scripts/scaffold-workflow.js <spec.yml|spec.json> [--out <dir>] [--force]';
+const args = process.argv.slice(2);
+const FORCE = args.includes('--force');
+const at = args.indexOf('--out');
+const specFile = args.find((a, i) => !a.startsWith('--') && args[i - 1] !== '--out');
+if (!specFile || (at !== -1 && !args[at + 1])) {
+  console.error(USAGE);
+  process.exit(EXIT.USAGE);
+}
+
+const config = await loadConfig();
+let spec;
+let rules;
+try {
+  spec = await loadSpec(specFile);
+  rules = await loadRules(config, builtInRules);
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
+}
+
+const file = path.join(at === -1 ? path.dirname(specFile) : args[at + 1], 'workflow.xml');
+const formFile = formPath(file);
+const targets = spec.form ? [file, formFile] : [file];
+const existing = [];
+for (const target of targets) {
+  if (await fs.access(target).then(() => true, () => false)) existing.push(target);
+}
+if (existing.length && !FORCE) {
+  console.error(`❌  ${existing.join(', ')} already exist(s) – use --force to overwrite`);
+  process.exit(EXIT.USAGE);
+}
+
+const text = workflowXml(spec);
+const obj = await parseXml(text);
+const root = obj[Object.keys(obj)[0]];
+const form = spec.form ? formSkeleton(spec.inputs) : null;
+const label = path.relative('.', file);
+
+console.log(`🏗   Scaffolding "${spec.name}" – ${spec.tasks.length} task(s), ${spec.inputs.length} input(s), ${spec.outputs.length} output(s)\n`);
+
+// The same checks validate and lint run once the files exist. The form rule
+// reads forms/_.json from disk, so the new form is checked here directly; a
+// scaffolded workflow references no actions.
+const findings = [];
+const source = { kind: 'workflow', file, label, text, obj };
+const workflowRules = new Map([...rules].filter(([id]) => id !== 'form'));
+for (const { rule, severity, message } of await runRules(workflowRules, 'workflow', { source, root, config, actions: new Set() })) {
+  findings.push({ severity, message: `${message} [${rule}]` });
+}
+for (const message of form ? checkForm(form, root, new Set()) : []) {
+  findings.push({ severity: 'error', message: `${message} [form]` });
+}
+const eslintFor = scriptLinter(config);
+for (const { name, code, inBindings, outBindings } of extractScripts(obj)) {
+  const [result] = await eslintFor(inBindings, outBindings).lintText(code, { filePath: `${label}#${name.replace(/[\\/]/g, '_')}.js` });
+  for (const m of result.messages) {
+    findings.push({
+      severity: m.severity === 2 ? 'error' : 'warn',
+      message: `script "${name}" ${m.line}:${m.column} ${m.message} [${m.ruleId ?? 'parse-error'}]`,
+    });
+  }
+}
+
+for (const { severity, message } of findings) {
+  if (severity === 'error') console.error(`${label}: ${message}`);
+  else console.log(`${label}: ${severity === 'warn' ? '⚠ ' : 'ℹ '}${message}`);
+}
+const errors = findings.filter((f) => f.severity === 'error').length;
+if (errors > 0) {
+  console.error(`\n❌  The spec produces ${errors} error(s) – nothing was written.`);
+  process.exit(EXIT.FAILED);
+}
+
+await fs.mkdir(path.dirname(file), { recursive: true });
+await fs.writeFile(file, text, 'utf8');
+console.log(`✔  ${label}`);
+if (form) {
+  await fs.mkdir(path.dirname(formFile), { recursive: true });
+  await fs.writeFile(formFile, `${JSON.stringify(form, null, 2)}\n`, 'utf8');
+  console.log(`✔  ${path.relative('.', formFile)}`);
+}
+console.log('\n✅  Workflow scaffolded – it passes validate and lint as it is.');
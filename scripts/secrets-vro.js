@@ -0,0 +1,181 @@
+// scripts/secrets-vro.js – secrets and environment-specific values in vRO content
+// -----------------------------------------------------------------------------
+// • scanScript(code)   – string literals of a script that look like a secret
+//                        (credential assignments, private keys, tokens,
+//                        high-entropy strings) or a host (IPv4, FQDN).
+// • scanValue(name, value) – the same for a stored attribute value; `name` is the
+//                        attribute, so credentials are recognised by name.
+// • redactScript(code) – the script with every secret literal masked, for
+//                        generated documentation.
+// • redactValue(name, value) – a stored value (form default, attribute) with
+//                        every secret string in it masked.
+// • Findings never contain the secret itself. Options come from
+//   validate.secrets in vro-ci.config.json:
+//     allowlist   exact values, domains (covering their subdomains) and
+//                 "/regex/" entries that are never reported
+//     minEntropy  bits per character from which a long token-like string
+//                 counts as a secret
+// -----------------------------------------------------------------------------
+
+import * as espree from 'espree';
+
+// Names a credential is assigned to – unless the name is about the credential
+// (passwordField, tokenType, secretName …) rather than holding it.
+const CREDENTIAL_NAME_RE = /pass(?:word|wd|phrase)?|pwd|secret|token|api[-_]?key|access[-_]?key|private[-_]?key|credential/i;
+const METADATA_NAME_RE = /(?:name|type|field|label|id|url|uri|path|prompt|policy|length|prefix|header)s?$/i;
+const COMPARISON = new Set(['=', ':', '==', '===', '!=', '!==']);
+
+const SECRET_PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----/, 'private key'],
+  [/\bAKIA[0-9A-Z]{16}\b/, 'AWS access key'],
+  [/\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/, 'JSON web token'],
+  [/^(?:Bearer|Basic)\s+[\w.~+/=-]{8,}$/i, 'authorization header'],
+  [/[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:[^/\s@]+@/i, 'credentials in a URL'],
+];
+
+const IPV4_RE = /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.])/g;
+// Only names that end in a top-level domain – reverse-domain module names
+// ("com.vmware.library.vc") and file names ("workflow.xml") do not.
+const TLDS = [
+  'com', 'net', 'org', 'io', 'info', 'biz', 'eu', 'de', 'uk', 'fr', 'nl', 'pl', 'ch', 'at', 'be', 'it', 'es',
+  'se', 'no', 'dk', 'fi', 'cz', 'us', 'ca', 'au', 'jp', 'cn', 'in', 'br', 'ru', 'cloud', 'dev', 'app', 'gov',
+  'edu', 'mil', 'local', 'lan', 'corp', 'internal', 'intra', 'intranet', 'localdomain', 'lab', 'home',
+];
+const FQDN_RE = new RegExp(`(?<![\\w.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+(?:${TLDS.join('|')})(?![\\w-]|\\.\\w)`, 'gi');
+// Loopback, "any", netmasks and the reserved documentation domains.
+const HARMLESS_HOST_RE = /^(?:127\.|0\.0\.0\.0$|255\.)|(?:^|\.)example\.(?:com|net|org)$/i;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / text.length) * Math.log2(n / text.length);
+  return bits;
+}
+
+// Long, token-like and random: API keys, generated passwords, hashes.
+function isHighEntropy(text, minEntropy) {
+  if (UUID_RE.test(text)) return false;
+  if (/^[0-9a-f]{32,}$/i.test(text)) return entropy(text) >= minEntropy - 1; // hex carries 4 bits at most
+  return /^[\w+/=-]{20,}$/.test(text) && /\d/.test(text) && /[a-z]/i.test(text) && entropy(text) >= minEntropy;
+}
+
+function allowed(value, allowlist) {
+  return allowlist.some((entry) => {
+    if (entry.length > 2 && entry.startsWith('/') && entry.endsWith('/')) return new RegExp(entry.slice(1, -1)).test(value);
+    return value === entry || value.toLowerCase().endsWith(`.${entry.toLowerCase()}`);
+  });
+}
+
+const placeholder = (value) => value === '' || value === '__NULL__' || /^\$\{[^}]*\}$/.test(value);
+
+// -----------------------------------------------------------------------------
+// String literals with the name they are assigned to, compared with or passed
+// to: { value, start, end, name } – start/end delimit the value in `code`.
+// -----------------------------------------------------------------------------
+function literalsFromTokens(code) {
+  const tokens = espree.tokenize(code, { ecmaVersion: 'latest', range: true });
+  const literals = [];
+  tokens.forEach((token, i) => {
+    if (token.type !== 'String' && token.type !== 'Template') return;
+    // Quotes, or the ` } ${ around the pieces of a template literal.
+    const open = 1;
+    const close = token.type === 'Template' && token.value.endsWith('${') ? 2 : 1;
+    const [prev, before] = [tokens[i - 1], tokens[i - 2]];
+    let name;
+    if (prev?.type === 'Punctuator' && (COMPARISON.has(prev.value) || prev.value === '(') &&
+      (before?.type === 'Identifier' || (before?.type === 'String' && prev.value === ':'))) {
+      name = before.value.replace(/^["']|["']$/g, '');
+    }
+    literals.push({
+      value: token.value.slice(open, token.value.length - close),
+      start: token.range[0] + open,
+      end: token.range[1] - close,
+      name,
+    });
+  });
+  return literals;
+}
+
+// For scripts espree cannot read (Rhino-only syntax): quoted strings and the
+// identifier right before them.
+function literalsFromText(code) {
+  const literals = [];
+  for (const m of code.matchAll(/(["'`])((?:\\.|(?!\1)[^\\\n])*)\1/g)) {
+    const name = /([\w$]+)\s*(?:={1,3}|!==?|:|\()\s*$/.exec(code.slice(Math.max(0, m.index - 80), m.index))?.[1];
+    literals.push({ value: m[2], start: m.index + 1, end: m.index + 1 + m[2].length, name });
+  }
+  return literals;
+}
+
+function literals(code) {
+  try {
+    return literalsFromTokens(code);
+  } catch {
+    return literalsFromText(code);
+  }
+}
+
+// What makes `value` a secret, or undefined.
+function secretKind(value, name, minEntropy) {
+  if (placeholder(value)) return undefined;
+  for (const [re, kind] of SECRET_PATTERNS) if (re.test(value)) return kind;
+  if (name && CREDENTIAL_NAME_RE.test(name) && !METADATA_NAME_RE.test(name)) return `credential assigned to "${name}"`;
+  if (isHighEntropy(value, minEntropy)) return 'high-entropy string';
+  return undefined;
+}
+
+function hostsIn(value) {
+  return [
+    ...[...value.matchAll(IPV4_RE)].map((m) => ({ kind: 'IP address', host: m[0] })),
+    ...[...value.matchAll(FQDN_RE)].map((m) => ({ kind: 'host name', host: m[0].toLowerCase() })),
+  ].filter(({ host }) => !HARMLESS_HOST_RE.test(host));
+}
+
+function scan(entries, { allowlist = [], minEntropy = 4 } = {}) {
+  const secrets = [];
+  const hosts = [];
+  for (const { value, start, end, name } of entries) {
+    if (allowed(value, allowlist)) continue;
+    const kind = secretKind(value, name, minEntropy);
+    if (kind) {
+      secrets.push({ kind, start, end });
+      continue;
+    }
+    for (const found of hostsIn(value)) if (!allowed(found.host, allowlist)) hosts.push(found);
+  }
+  return { secrets, hosts };
+}
+
+// `options` is validate.secrets. Returns { secrets: [{ kind, start, end }],
+// hosts: [{ kind, host }] } – a literal is reported as a secret or for its
+// hosts, not both.
+export function scanScript(code, options) {
+  return scan(literals(code ?? ''), options);
+}
+
+export function scanValue(name, value, options) {
+  return scan([{ value: value ?? '', start: 0, end: (value ?? '').length, name }], options);
+}
+
+export function redactScript(code, options) {
+  let out = code ?? '';
+  for (const { start, end } of scanScript(out, options).secrets.sort((a, b) => b.start - a.start)) {
+    out = `${out.slice(0, start)}********${out.slice(end)}`;
+  }
+  return out;
+}
+
+// Strings anywhere in `value` (plain, array or object) that are secrets –
+// judged by the key they are stored under, or `name` at the top – become
+// "********".
+export function redactValue(name, value, options) {
+  if (typeof value === 'string') return scanValue(name, value, options).secrets.length ? '********' : value;
+  if (Array.isArray(value)) return value.map((v) => redactValue(name, v, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, redactValue(key === 'value' ? name : key, v, options)]));
+  }
+  return value;
+}
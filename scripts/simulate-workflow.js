@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// simulate-workflow.js – run a workflow offline, without a vRO server
+// -----------------------------------------------------------------------------
+// Usage: node scripts/simulate-workflow.js <workflow.xml>
+//          [--inputs inputs.json] [--input name=value …] [--stubs stubs.js|json]
+// • Executes Scriptable Tasks and custom decisions in a Node sandbox with
+//   mocked System/Server/LockingSystem/Config objects (see runtime-vro.js).
+// • Passes values through in/out bindings and follows out-name, decisions,
+//   switch conditions, catch-name and error handlers. Linked workflows and
+//   actions from the repository run too; others need a stub.
+// • Prints an execution trace and the final outputs; exits with code 1 if the
+//   workflow failed, with code 2 for a workflow, inputs or stubs file that is
+//   missing or does not parse.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import { loadSources, loadXml, actionMeta } from './parse-vro.js';
+import { createRuntime, loadStubs, runWorkflow } from './runtime-vro.js';
+import { EXIT } from './config-vro.js';
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+
+// ---------- arguments --------------------------------------------------------
+const args = process.argv.slice(2);
+const option = (name) => {
+  const values = [];
+  args.forEach((a, i) => a === name && args[i + 1] && values.push(args[i + 1]));
+  return values;
+};
+const file = args.find((a, i) => !a.startsWith('--') && !args[i - 1]?.startsWith('--'));
+
+if (!file) {
+  console.error('Usage: node scripts/simulate-workflow.js <workflow.xml> [--inputs file.json] [--input name=value] [--stubs file]');
+  process.exit(EXIT.USAGE);
+}
+
+// `--input name=value` is converted to the type of the workflow input.
+function convert(type, raw) {
+  if (type === 'number') return Number(raw);
+  if (type === 'boolean') return raw === 'true';
+  if (type?.startsWith('Array/') || type === 'Properties') return JSON.parse(raw);
+  return raw;
+}
+
+// A file that is missing or does not parse is a usage error, not a crash.
+async function orUsage(what, read) {
+  try {
+    return await read();
+  } catch (err) {
+    console.error(`❌  ${what}: ${err.message}`);
+    process.exit(EXIT.USAGE);
+  }
+}
+
+// ---------- MAIN ---------------------------------------------------------------
+const wfObj = await orUsage(file, () => loadXml(file));
+const root = wfObj[Object.keys(wfObj)[0]];
+const types = new Map(collect(root.input?.param).map((p) => [p.name, p.type]));
+
+const inputs = {};
+for (const inputFile of option('--inputs')) {
+  Object.assign(inputs, await orUsage(inputFile, async () => JSON.parse(await fs.readFile(inputFile, 'utf8'))));
+}
+for (const pair of option('--input')) {
+  const eq = pair.indexOf('=');
+  const name = pair.slice(0, eq);
+  inputs[name] = await orUsage(`--input ${name}`, () => convert(types.get(name), pair.slice(eq + 1)));
+}
+
+// Nested workflows and actions are taken from the repository.
+const sources = await loadSources();
+const workflows = new Map(sources.filter((s) => s.kind === 'workflow')
+  .map((s) => [s.obj[Object.keys(s.obj)[0]].id, s]));
+const actions = new Map(sources.filter((s) => s.kind === 'action').map((s) => [actionMeta(s.obj).fqn, s]));
+
+const runtime = createRuntime({
+  stubs: await orUsage(option('--stubs')[0], () => loadStubs(option('--stubs')[0])),
+  actions,
+  log: ({ level, message }) => console.log(`        [${level}] ${message}`),
+});
+
+console.log(`▶  Simulating ${root['display-name']?._ ?? file}\n`);
+const run = runWorkflow(wfObj, inputs, runtime, { workflows });
+
+console.log('\nTrace:');
+run.trace.forEach((t, i) => {
+  const indent = '  '.repeat(t.depth);
+  let line = `  ${String(i + 1).padStart(3)}. ${indent}[${t.type}] ${t.element}`;
+  if (t.decision !== undefined) line += ` → ${t.decision}`;
+  if (t.skipped) line += ' (not simulated)';
+  if (t.outputs) line += ` ${JSON.stringify(t.outputs)}`;
+  if (t.error) line += ` ✖ ${t.error}`;
+  console.log(line);
+});
+
+console.log(`\nOutputs: ${JSON.stringify(run.outputs, null, 2)}`);
+if (run.status === 'failed') {
+  console.error(`\n❌  Workflow failed: ${run.error.message}`);
+  process.exit(EXIT.FAILED);
+}
+console.log('\n✅  Workflow completed.');
@@ -0,0 +1,227 @@
+// scripts/site-vro.js – static HTML site from the generated Markdown docs
+// -----------------------------------------------------------------------------
+// • Renders every Markdown page (marked) into one self-contained directory:
+//     index.html            landing page – workflows by folder, actions by
+//                           module, client-side search
+//     search-index.js       names, descriptions and inputs for the search
+//     assets/               stylesheet, search script, mermaid.min.js
+// • Links between Markdown pages are rewritten to the matching HTML pages,
+//   ```mermaid blocks are rendered in the browser by the bundled Mermaid.
+// • Raw HTML in the Markdown is escaped, except the few tags the page
+//   generator writes – descriptions cannot inject markup or scripts.
+// • Files are only written when their content changes.
+// • Nothing is loaded from the network – the directory can be served by any
+//   static web server or opened from disk.
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { Marked } from 'marked';
+import { writeIfChanged } from './incremental-vro.js';
+
+const require = createRequire(import.meta.url);
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toUrl = (p) => encodeURI(p.split(path.sep).join('/'));
+
+// The only raw HTML docs-workflow.js writes itself. Any other tag comes from
+// descriptions, names or form text and is shown as text, not run.
+const OWN_TAGS_RE = /^<\/?(?:details|summary|h2)>$|^<br>$/;
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      // Mermaid renders the diagram source in place, in the browser.
+      return lang === 'mermaid' ? `<pre class="mermaid">${escapeHtml(text)}</pre>\n` : false;
+    },
+    html({ text }) {
+      return text.replace(/<[^>]*>?/g, (tag) => (OWN_TAGS_RE.test(tag) ? tag : escapeHtml(tag)));
+    },
+  },
+});
+
+const STYLE = `body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: #222; }
+header { padding: .6em 1.5em; background: #1d3557; }
+header a { color: #fff; margin-right: 1.5em; text-decoration: none; font-weight: 600; }
+main { max-width: 72em; padding: 1em 1.5em 3em; }
+table { border-collapse: collapse; margin: .5em 0 1em; }
+th, td { border: 1px solid #ccc; padding: .25em .6em; text-align: left; vertical-align: top; }
+th { background: #f0f3f7; }
+pre { background: #f6f8fa; padding: .8em; overflow-x: auto; }
+pre.mermaid { background: none; }
+summary h2 { display: inline; }
+#search { width: 100%; max-width: 36em; padding: .5em; font-size: 1em; }
+.kind { color: #666; font-size: .85em; }
+.hidden { display: none; }
+`;
+
+// Browser code for the landing page; the entries come from search-index.js.
+const SEARCH = `(function () {
+  var input = document.getElementById('search');
+  var results = document.getElementById('results');
+  var groups = document.getElementById('groups');
+  var entries = window.VRO_SEARCH || [];
+
+  function escape(s) {
+    var div = document.createElement('div');
+    div.textContent = s;
+    return div.innerHTML;
+  }
+
+  input.addEventListener('input', function () {
+    var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    groups.classList.toggle('hidden', words.length > 0);
+    results.classList.toggle('hidden', words.length === 0);
+    if (!words.length) return;
+
+    var hits = entries.filter(function (e) {
+      return words.every(function (w) { return e.text.indexOf(w) !== -1; });
+    });
+    results.innerHTML = hits.length
+      ? '<ul>' + hits.map(function (e) {
+        return '<li><a href="' + e.url + '">' + escape(e.name) + '</a> <span class="kind">' + e.kind +
+          '</span><br>' + escape(e.description) + '</li>';
+      }).join('') + '</ul>'
+      : '<p>No matches.</p>';
+  });
+})();
+`;
+
+function layout({ title, body, root, scripts = [] }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}assets/site.css">
+</head>
+<body>
+<header><a href="${root}index.html">vRO Documentation</a><a href="${root}dependencies.html">Dependencies</a><a href="${root}metrics.html">Metrics</a></header>
+<main>
+${body}
+</main>
+${scripts.map((src) => `<script src="${root}${src}"></script>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// Relative prefix from a page (path inside the site) to the site root.
+const rootOf = (page) => '../'.repeat(page.split(/[\\/]/).length - 1);
+
+// Rewrites links to Markdown pages (relative to `mdFile`) to their HTML
+// counterparts (relative to `htmlPage`); other links stay as they are. That
+// includes the click links of Mermaid diagrams, which are escaped source text
+// (click id href &quot;page.md&quot;) until the browser renders them.
+function rewriteLinks(html, mdFile, htmlPage, htmlFor) {
+  const rewrite = (match, href, hash = '') => {
+    const target = htmlFor.get(path.resolve(path.dirname(mdFile), decodeURI(href)));
+    return target ? match.replace(`${href}${hash}`, `${toUrl(path.relative(path.dirname(htmlPage), target))}${hash}`) : match;
+  };
+  return html
+    .replace(/href="([^":#?]+\.md)(#[^"]*)?"/g, rewrite)
+    .replace(/ href &quot;([^":#?&]+\.md)(#[^&]*)?&quot;/g, rewrite);
+}
+
+function indexPage(entries) {
+  const section = (title, kind) => {
+    const byGroup = new Map();
+    for (const e of entries.filter((x) => x.kind === kind)) {
+      if (!byGroup.has(e.group)) byGroup.set(e.group, []);
+      byGroup.get(e.group).push(e);
+    }
+    if (!byGroup.size) return '';
+    let html = `<h2>${title}</h2>\n`;
+    for (const [group, list] of [...byGroup].sort(([a], [b]) => a.localeCompare(b))) {
+      html += `<h3>${escapeHtml(group || '(root)')}</h3>\n<ul>\n`;
+      for (const e of list.sort((a, b) => a.name.localeCompare(b.name))) {
+        html += `<li><a href="${e.url}">${escapeHtml(e.name)}</a>` +
+          `${e.description ? ` – ${escapeHtml(e.description)}` : ''}</li>\n`;
+      }
+      html += '</ul>\n';
+    }
+    return html;
+  };
+
+  return layout({
+    title: 'vRO Documentation',
+    root: '',
+    scripts: ['search-index.js', 'assets/search.js'],
+    body: '<h1>vRO Documentation</h1>\n' +
+      '<input id="search" type="search" placeholder="Search names, descriptions and inputs…" autofocus>\n' +
+      '<div id="results" class="hidden"></div>\n' +
+      `<div id="groups">\n${section('Workflows', 'workflow')}${section('Actions', 'action')}</div>`,
+  });
+}
+
+// `pages`: [{ md, html }] – a Markdown file and its path inside the site.
+// `entries`: [{ kind, name, group, description, inputs: [{ name, type,
+// description }], md }] – what the landing page lists and search finds; `md`
+// must be one of the pages. A page listed twice (the same workflow loose and
+// in a .package) is rendered and listed once, from the last entry – the one
+// whose Markdown was written last. Pages whose Markdown does not exist (not
+// generated yet by an incremental run) are left out.
+export async function buildSite({ outDir, pages, entries }) {
+  const htmlFor = new Map();
+  const markdown = new Map();
+  for (const { md, html } of pages) {
+    const source = await fs.readFile(md, 'utf8').catch(() => null);
+    if (source === null) continue;
+    htmlFor.set(path.resolve(md), html);
+    markdown.set(path.resolve(md), source);
+  }
+
+  for (const [mdPath, html] of htmlFor) {
+    const md = path.relative('.', mdPath);
+    const source = markdown.get(mdPath);
+    const title = /^# (.+)$/m.exec(source)?.[1] ?? path.basename(html, '.html');
+    const body = rewriteLinks(marked.parse(source), md, html, htmlFor);
+    const root = rootOf(html);
+    await writeIfChanged(path.join(outDir, html), layout({
+      title,
+      body,
+      root,
+      scripts: source.includes('```mermaid') ? ['assets/mermaid.min.js', 'assets/mermaid-init.js'] : [],
+    }));
+  }
+
+  const listed = [...new Map(entries.map((e) => [path.resolve(e.md), e])).values()]
+    .filter((e) => htmlFor.has(path.resolve(e.md)))
+    .map((e) => ({
+      kind: e.kind,
+      name: e.name,
+      group: e.group,
+      description: e.description ?? '',
+      url: toUrl(htmlFor.get(path.resolve(e.md))),
+      text: [e.name, e.description, ...e.inputs.flatMap((i) => [i.name, i.type, i.description])]
+        .filter(Boolean).join(' ').toLowerCase(),
+    }));
+
+  await writeIfChanged(path.join(outDir, 'index.html'), indexPage(listed));
+  await writeIfChanged(
+    path.join(outDir, 'search-index.js'),
+    `window.VRO_SEARCH = ${JSON.stringify(listed.map(({ group, ...e }) => e))};\n`
+  );
+  await writeIfChanged(path.join(outDir, 'assets', 'site.css'), STYLE);
+  await writeIfChanged(path.join(outDir, 'assets', 'search.js'), SEARCH);
+  await writeIfChanged(
+    path.join(outDir, 'assets', 'mermaid-init.js'),
+    // "antiscript" lets diagram nodes link to other pages (click … href);
+    // labels are escaped by mermaid-vro.js and scripts are still removed.
+    "mermaid.initialize({ startOnLoad: true, securityLevel: 'antiscript' });\n"
+  );
+  await writeIfChanged(
+    path.join(outDir, 'assets', 'mermaid.min.js'),
+    await fs.readFile(require.resolve('mermaid/dist/mermaid.min.js'))
+  );
+
+  return { index: path.join(outDir, 'index.html'), pages: htmlFor.size };
+}
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+// test-workflow.js – fixture-based unit tests for single workflow elements
+// -----------------------------------------------------------------------------
+// • Takes fixture files as arguments, or finds every "*.test.json"
+//   (include.tests in vro-ci.config.json, or VRO_TEST_GLOB). A fixture tests the workflow next to it – or the file
+//   named in "workflow" (relative) – and may also point at an action XML to
+//   test the action body:
+//     {
+//       "workflow": "workflow.xml",
+//       "stubs": { "actions": { "com.lab.vm/getVm": { "name": "web01" } } },
+//       "tests": [
+//         { "name": "builds the IP", "element": "Clone VM",
+//           "inputs": { "cpuCount": 4 }, "expect": { "resultIp": "10.0.0.4" } },
+//         { "element": "Validate input", "inputs": {}, "expectError": "required" },
+//         { "element": "Is large?", "inputs": { "cpuCount": 8 }, "expectResult": true },
+//         { "element": "Environment", "inputs": { "env": "prod" }, "expectResult": "item5" }
+//       ]
+//     }
+// • "element" is the display name or the item name (item1, …). "inputs" are
+//   the in-bindings (action parameters), "stubs" the vRO API responses – see
+//   runtime-vro.js – merged over the file-level stubs.
+// • "expect" checks out-bindings, "expectResult" the return value of custom
+//   decisions and actions, the branch (true/false) of decisions and the
+//   element a switch goes to; "expectError" a substring of the thrown error.
+//   Decisions and switches are evaluated like the simulator does (decide()
+//   in runtime-vro.js), with or without a generated script.
+// • Reports pass/fail per element; exits with code 1 on any failure. A repo
+//   without fixtures passes with a note; a fixture argument that does not
+//   exist is a usage error (code 2).
+// -----------------------------------------------------------------------------
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { loadSources, loadXmlSource, extractScripts, actionMeta, isAction } from './parse-vro.js';
+import { createRuntime, decide, runScript } from './runtime-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+
+// Values created inside the sandbox belong to another realm; compare them
+// by their JSON form.
+const normalise = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const same = (a, b) => JSON.stringify(normalise(a)) === JSON.stringify(normalise(b));
+
+async function findWorkflow(fixtureFile, fixture) {
+  if (fixture.workflow) return path.join(path.dirname(fixtureFile), fixture.workflow);
+  const [file] = await fg('*workflow.xml', { cwd: path.dirname(fixtureFile), absolute: true });
+  return file;
+}
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+const txt = (node) => (typeof node === 'string' ? node : node?._ ?? '');
+
+// Decision and switch elements of a workflow, by display name and item name.
+function decisionElements(obj) {
+  const root = obj[Object.keys(obj)[0]];
+  return collect(root['workflow-item']).filter((i) => i.type === 'condition' || i.type === 'switch');
+}
+
+// `target` is an extracted script, or { decision: <element> } for decisions
+// and switches.
+function runTest(test, target, stubs, actions) {
+  const logs = [];
+  const runtime = createRuntime({
+    stubs: { ...stubs, ...test.stubs, actions: { ...stubs.actions, ...test.stubs?.actions } },
+    actions,
+    log: ({ level, message }) => logs.push(`[${level}] ${message}`),
+  });
+  const inputs = test.inputs ?? {};
+  const outBindings = target.outBindings ?? [];
+
+  let run;
+  let thrown;
+  try {
+    if (target.decision) {
+      const { decision, next } = decide(target.decision, inputs, runtime);
+      run = { outputs: {}, result: target.decision.type === 'switch' ? next : decision };
+    } else if (target.type === 'action') {
+      // Actions take their inputs as parameters, custom decisions as globals.
+      const { inBindings } = target;
+      run = runScript(target.code, { mode: 'function', params: inBindings, args: inBindings.map((n) => inputs[n]), runtime });
+    } else {
+      const mode = target.type === 'custom-condition' ? 'function' : 'script';
+      run = runScript(target.code, { mode, bindings: inputs, outputs: outBindings, runtime });
+    }
+  } catch (err) {
+    thrown = err?.message ?? String(err);
+  }
+
+  const failures = [];
+  if (test.expectError !== undefined) {
+    if (thrown === undefined) failures.push(`expected error containing "${test.expectError}", but nothing was thrown`);
+    else if (!thrown.includes(test.expectError)) failures.push(`expected error containing "${test.expectError}", got "${thrown}"`);
+    return { failures, logs };
+  }
+  if (thrown !== undefined) return { failures: [`unexpected error: ${thrown}`], logs };
+
+  for (const [name, expected] of Object.entries(test.expect ?? {})) {
+    if (!outBindings.includes(name)) failures.push(`"${name}" is not an out-binding of this element`);
+    else if (!same(run.outputs[name], expected)) {
+      failures.push(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(normalise(run.outputs[name]))}`);
+    }
+  }
+  if ('expectResult' in test && !same(run.result, test.expectResult)) {
+    failures.push(`result: expected ${JSON.stringify(test.expectResult)}, got ${JSON.stringify(normalise(run.result))}`);
+  }
+  return { failures, logs };
+}
+
+// MAIN -------------------------------------------------------------------------
+const config = await loadConfig();
+const args = process.argv.slice(2);
+const unknown = args.find((a) => a.startsWith('--'));
+if (unknown) {
+  console.error(`❌  unknown option ${unknown}\nUsage: node scripts/test-workflow.js [<fixture.test.json>…]`);
+  process.exit(EXIT.USAGE);
+}
+for (const file of args) {
+  try {
+    await fs.access(file);
+  } catch {
+    console.error(`❌  ${file} does not exist`);
+    process.exit(EXIT.USAGE);
+  }
+}
+const fixtures = args.length ? args : await fg(config.include.tests, { dot: true, ignore: config.exclude });
+console.log(`🧪  Running element fixtures: ${args.length ? 'from the command line' : `pattern = ${config.include.tests.join(', ')}`}`);
+console.log(`    ➜  ${fixtures.length} fixture file(s) found\n`);
+
+if (fixtures.length === 0) {
+  console.log('ℹ️   No element fixtures – add a *.test.json next to a workflow to test its elements.');
+  process.exit(EXIT.OK);
+}
+
+const actions = new Map((await loadSources(config)).filter((s) => s.kind === 'action' && isAction(s.obj))
+  .map((s) => [actionMeta(s.obj).fqn, s]));
+
+let passed = 0;
+let failed = 0;
+const fail = (line, details = []) => {
+  failed++;
+  console.error(`    ✖ ${line}`);
+  details.forEach((d) => console.error(`        ${d}`));
+};
+
+for (const fixtureFile of fixtures) {
+  console.log(fixtureFile);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixtureFile, 'utf8'));
+  } catch (err) {
+    fail(`cannot read fixture – ${err.message}`);
+    continue;
+  }
+
+  const xmlFile = await findWorkflow(fixtureFile, fixture);
+  if (!xmlFile) {
+    fail('no workflow next to the fixture – set "workflow"');
+    continue;
+  }
+  const { text, obj } = await loadXmlSource(xmlFile);
+  const scripts = extractScripts(obj, text);
+  const decisions = isAction(obj) ? [] : decisionElements(obj);
+
+  for (const test of fixture.tests ?? []) {
+    const title = `${test.element}${test.name ? ` – ${test.name}` : ''}`;
+    const decision = decisions.find((d) => txt(d['display-name']) === test.element || d.name === test.element);
+    const script = scripts.find((s) => s.name === test.element || s.element === test.element);
+    if (!decision && !script) {
+      fail(title, [`element "${test.element}" has no script in ${path.relative('.', xmlFile)}`]);
+      continue;
+    }
+
+    const { failures, logs } = runTest(test, decision ? { decision } : script, fixture.stubs ?? {}, actions);
+    if (failures.length) {
+      fail(title, [...failures, ...logs]);
+    } else {
+      passed++;
+      console.log(`    ✔ ${title}`);
+    }
+  }
+  console.log('');
+}
+
+if (failed > 0) {
+  console.error(`❌  ${failed} of ${passed + failed} element test(s) failed.`);
+  process.exit(EXIT.FAILED);
+} else {
+  console.log(`✅  ${passed} element test(s) passed.`);
+}
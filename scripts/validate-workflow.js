@@ -1,157 +1,194 @@
 // validate-workflow.js – vRO‑specific validator for variable naming & descriptions
 // -----------------------------------------------------------------------------
-// • Scans every *.workflow.xml (pattern from env VRO_GLOB or fallback)
+// • Scans every *.workflow.xml (pattern from vro-ci.config.json or env VRO_GLOB)
 // • Validates that input/output/attribute names follow naming conventions:
 //     – lowerCamelCase  for regular variables / functions
 //     – UPPER_CASE      for constants (heuristic: attribute read‑only="true")
 // • Ensures <input>/<output>/<attrib> have a non‑empty <description>.
 // • Ensures each <workflow-item> (except start/end/link) has a valid <description>.
 // • Validates main workflow description length & content.
-// • Reports all violations and exits with code 1 if any were found.
+// • Checks the binding data flow: unknown export-names, unbound attributes,
+//   outputs never written and bind types that differ from the variable type.
+// • Checks schema graph integrity (see graph-vro.js): unreachable items,
+//   dangling links, dead ends (no transition, or no path to an end item),
+//   switches without default, exitless cycles.
+// • Validates forms/_.json against the workflow inputs (see forms-vro.js);
+//   malformed form JSON is a violation, not something to skip.
+// • Flags stored SecureString values, credentials and tokens in scripts and
+//   attribute values, and literal IPs & host names (see secrets-vro.js).
+// • Applies the naming & description rules to the parameters of every
+//   *action.xml (pattern from config or env VRO_ACTION_GLOB).
+// • Also validates workflows & actions inside exported *.package archives
+//   (pattern from config or env VRO_PACKAGE_GLOB).
+// • Every check is a rule with a stable id (printed after each finding) in
+//   scripts/rules/; own rules are loaded from validate.ruleModules. Findings
+//   can be suppressed per workflow, element or variable with a
+//   "[vro-ignore rule-id]" marker in its description, or through the
+//   baseline file – see rules-vro.js.
+// • Thresholds, the list of default template descriptions and the severity
+//   of every rule ("off" | "info" | "warn" | "error") come from
+//   vro-ci.config.json – see config-vro.js.
+// • --update-baseline records all current errors & warnings as known.
+// • --report <json|junit|sarif|github>[=<file>] writes the findings with
+//   file, element, rule id and XML line/column (see report-vro.js).
+// • --since <ref> / --changed validate only what changed since a git ref or
+//   the last run, plus what references it (see incremental-vro.js);
+//   --update-baseline always validates everything.
+// • Reports all violations and exits with code 1 if any error-level finding
+//   outside the baseline was reported.
 // -----------------------------------------------------------------------------
 
-import fg from 'fast-glob';
 import path from 'node:path';
-import { loadXml } from './parse-vro.js';
-
-const GLOB = process.env.VRO_GLOB || '**/*workflow.xml';
-
-// RegEx helpers
-const CAMEL_CASE_RE = /^[a-z]+(?:[A-Z][a-z0-9]*)*$/;      // e.g., myVariable
-const UPPER_CASE_RE = /^[A-Z0-9_]+$/;                    // e.g., MY_CONST
-
-function isConstant(attr) {
-  return (
-    attr['read-only'] === 'true' ||
-    attr.readOnly === true ||
-    attr['readOnly'] === 'true'
-  );
+import { loadSources, isAction, actionMeta, locateElements } from './parse-vro.js';
+import { EXIT, loadConfig } from './config-vro.js';
+import { applyBaseline, loadRules, readBaseline, runRules, writeBaseline } from './rules-vro.js';
+import { reportOptions, writeReports } from './report-vro.js';
+import { incrementalOptions, selectSources } from './incremental-vro.js';
+import builtInRules from './rules/index.js';
+
+const UPDATE_BASELINE = process.argv.includes('--update-baseline');
+const ICONS = { error: '', warn: '⚠ ', info: 'ℹ ' };
+
+const config = await loadConfig();
+let rules;
+let baseline;
+let reports;
+let incremental;
+try {
+  reports = reportOptions(process.argv);
+  incremental = UPDATE_BASELINE ? null : incrementalOptions(process.argv);
+  rules = await loadRules(config, builtInRules);
+  baseline = UPDATE_BASELINE ? [] : await readBaseline(config.validate.baseline);
+} catch (err) {
+  console.error(`❌  Invalid configuration – ${err.message}`);
+  process.exit(EXIT.USAGE);
 }
+// A report on stdout keeps stdout to itself.
+const log = reports.some((r) => !r.file) ? console.error : console.log;
 
-function validateName(name, constant) {
-  return constant ? UPPER_CASE_RE.test(name) : CAMEL_CASE_RE.test(name);
+const unknownRules = Object.keys(config.validate.rules).filter((id) => !rules.has(id));
+if (unknownRules.length) {
+  console.error(`❌  Invalid configuration – unknown validate rule(s): ${unknownRules.join(', ')}`);
+  process.exit(EXIT.USAGE);
 }
 
-// Description validators ------------------------------------------------------
-function isSameChar(text) {
-  return /^(\w)\1*$/.test(text);
+// Main validation -------------------------------------------------------------
+const { workflows: GLOB, actions: ACTION_GLOB, packages: PACKAGE_GLOB } = config.include;
+const sources = await loadSources(config);
+// References resolve against the whole repository, whatever is validated.
+const actionNames = new Set(sources.filter((s) => s.kind === 'action' && isAction(s.obj)).map((s) => actionMeta(s.obj).fqn));
+
+let selection;
+try {
+  selection = await selectSources(sources, incremental, {
+    config,
+    tool: 'validate',
+    settings: [...config.validate.ruleModules, config.validate.baseline],
+  });
+} catch (err) {
+  console.error(`❌  ${err.message}`);
+  process.exit(EXIT.USAGE);
 }
-function isSameWord(text) {
-  return /^(\b\w+\b)( \1)*$/.test(text);
+const workflows = selection.sources.filter((s) => s.kind === 'workflow');
+const actions = selection.sources.filter((s) => s.kind === 'action');
+
+log(`🔍  Validating workflows & actions: pattern = ${[...GLOB, ...ACTION_GLOB, ...PACKAGE_GLOB].join(', ')}`);
+if (selection.note) log(`⚡  Incremental – ${selection.note}`);
+log(`    ➜  ${workflows.length} workflow(s), ${actions.length} action(s), ${rules.size} rule(s)\n`);
+
+// Structural problems no rule can suppress, as { source, message }.
+const problems = [];
+// `file` is the source label – what the baseline refers to.
+const findings = [];
+
+for (const source of workflows) {
+  const root = source.obj[Object.keys(source.obj)[0]]; // handle namespace prefix
+  if (!root) {
+    problems.push({ source, message: 'cannot find <workflow> root element' });
+    continue;
+  }
+  const context = { source, root, config, actions: actionNames };
+  for (const finding of await runRules(rules, 'workflow', context)) findings.push({ file: source.label, source, ...finding });
 }
 
-function validateWorkflowDescription(desc) {
-  if (!desc) return 'Workflow description missing';
-  if (desc.length < 50) return 'Workflow description too short (<50 chars)';
-  if (isSameChar(desc) || isSameWord(desc)) return 'Workflow description invalid (repetitions)';
-  return 'valid';
+for (const source of actions) {
+  if (!isAction(source.obj)) {
+    problems.push({ source, message: 'cannot find <dunes-script-module> root element' });
+    continue;
+  }
+  const context = { source, root: source.obj['dunes-script-module'], action: actionMeta(source.obj), config, actions: actionNames };
+  for (const finding of await runRules(rules, 'action', context)) findings.push({ file: source.label, source, ...finding });
 }
+for (const { source, message } of problems) console.error(`${source.label}: ${message}`);
 
-const INVALID_DEFAULT_TEXTS = new Set([
-  'Simple task with custom script capability.',
-  'Custom decision based on a custom script.',
-  'Decision activity based on a workflow or an action.',
-  'Use this element to set up a user interaction.',
-  'Add a note to the workflow schema.',
-  'Start an asynchronous workflow.',
-  'Schedule a workflow and create a task.',
-  'Basic switch activity based on a workflow attribute or parameter.',
-  'Sleep a given number of seconds.',
-  'Change current execution credential.',
-  'Wait until date.',
-  'Wait for custom event.',
-  'Send a custom event.',
-  'Log the input text to the console log with the level "log".',
-  'Log the input text to the console log with the level "warn".',
-  'Log the input text to the console log with the level "error".',
-  'Log the input text to the server log with the level "log".',
-  'Log the input text to the server log with the level "warn".',
-  'Log the input text to the server log with the level "error".',
-  'Log the input text to the console and the server log with the level "log".',
-  'Log the input text to the console and the server log with the level "warn".',
-  'Log the input text to the console and the server log with the level "error".',
-]);
-
-function validateItemDescription(desc, itemName) {
-  if (!desc) return 'No description text found';
-  if (desc === itemName) return 'Description equals the item name';
-  if (INVALID_DEFAULT_TEXTS.has(desc)) return 'Default template description';
-  if (desc.length < 15) return 'Schema description too short (<15 chars)';
-  if (isSameChar(desc) || isSameWord(desc)) return 'Invalid description text (repetitions)';
-  return 'valid';
+if (UPDATE_BASELINE) {
+  const known = findings.filter((f) => f.severity !== 'info');
+  await writeBaseline(config.validate.baseline, known);
+  log(`📌  Baseline ${config.validate.baseline} now lists ${known.length} finding(s).`);
+  process.exit(problems.length > 0 ? EXIT.FAILED : EXIT.OK);
 }
 
-// Main validation -------------------------------------------------------------
-let violations = 0;
-const files = await fg(GLOB, { dot: true });
-console.log(`🔍  Validating variables & descriptions: pattern = ${GLOB}`);
-console.log(`    ➜  ${files.length} workflow file(s) found\n`);
-
-for (const file of files) {
-  const wfObj = await loadXml(file);
-  const rootKey = Object.keys(wfObj)[0]; // handle namespace prefix
-  const wf = wfObj[rootKey];
-  const fileRel = path.relative('.', file);
-
-  if (!wf) {
-    console.error(`${fileRel}: cannot find <workflow> root element`);
-    violations++;
-    continue;
-  }
-
-  // 1) Main workflow description --------------------------------------------
-  const mainDesc = wf.description?._ ?? wf.description;
-  const mainCheck = validateWorkflowDescription(mainDesc?.trim());
-  if (mainCheck !== 'valid') {
-    console.error(`${fileRel}: ${mainCheck}`);
-    violations++;
-  }
+// Reporting -------------------------------------------------------------------
+// Entries for files not validated this run are neither matched nor stale.
+const validated = new Set(selection.sources.map((s) => s.label));
+const stale = applyBaseline(findings, baseline.filter((entry) => validated.has(entry.file)));
+const count = { error: 0, warn: 0, info: 0, baselined: 0 };
 
-  // Helper to normalise collections
-  const collect = (node) => (Array.isArray(node) ? node : node ? [node] : []);
-
-  // 2) Variables (inputs / outputs / attribs) --------------------------------
-  const inputs = collect(wf.input?.param);
-  const outputs = collect(wf.output?.param);
-  const attribs = collect(wf.attrib);
-
-  for (const entry of [...inputs, ...outputs, ...attribs]) {
-    const name = entry?.name;
-    if (!name) continue;
-
-    const constant = isConstant(entry);
-    if (!validateName(name, constant)) {
-      console.error(`${fileRel}: variable "${name}" violates naming convention (expected ${constant ? 'UPPER_CASE' : 'camelCase'})`);
-      violations++;
-    }
-
-    const descText = entry.description?._ ?? entry.description;
-    if (!descText || descText.trim().length === 0) {
-      console.error(`${fileRel}: variable "${name}" is missing <description>`);
-      violations++;
-    }
+for (const { file, rule, severity, message, baselined } of findings) {
+  if (baselined) {
+    count.baselined++;
+    continue;
   }
+  count[severity]++;
+  const line = `${file}: ${ICONS[severity]}${message} [${rule}]`;
+  if (severity === 'error') console.error(line);
+  else log(line);
+}
 
-  // 3) Schema items -----------------------------------------------------------
-  const items = collect(wf['workflow-item']);
-  for (const item of items) {
-    const type = item.type ?? item['type'];
-    if (type === 'end' || type === 'start' || type === 'link') continue; // skip technical nodes
-
-    const itemName = item['display-name']?._ ?? item.name ?? 'unknown';
-    const itemDesc = item.description?._ ?? item.description;
-    const itemCheck = validateItemDescription(itemDesc?.trim(), itemName);
-
-    if (itemCheck !== 'valid') {
-      console.error(`${fileRel}: workflow-item "${itemName}" invalid description – ${itemCheck}`);
-      violations++;
-    }
-  }
+if (count.baselined || stale) {
+  log(`\n📌  ${count.baselined} known finding(s) from ${config.validate.baseline} not reported` +
+    (stale ? `; ${stale} baseline entr${stale === 1 ? 'y is' : 'ies are'} fixed – run with --update-baseline` : ''));
 }
 
+// Machine-readable reports -----------------------------------------------------
+// Package contents have no position of their own – they point at the .package.
+const locations = new Map();
+const locate = (source, node) => {
+  if (source.entry || !node?.name) return {};
+  if (!locations.has(source)) locations.set(source, locateElements(source.text));
+  return locations.get(source).get(node.name) ?? {};
+};
+const reportFinding = ({ source, rule, severity, message, node }) => ({
+  file: path.relative('.', source.file),
+  label: source.label,
+  element: node ? node['display-name']?._ ?? node.name : undefined,
+  ruleId: rule,
+  severity: severity === 'warn' ? 'warning' : severity,
+  message,
+  ...locate(source, node),
+});
+
+await writeReports(reports, {
+  tool: 'vro-ci validate',
+  files: selection.sources.map((s) => s.label),
+  rules: new Map([...rules.values()].map((r) => [r.id, r.description])),
+  findings: [
+    ...problems.map(({ source, message }) => reportFinding({ source, rule: 'root-element', severity: 'error', message })),
+    ...findings.filter((f) => !f.baselined).map(reportFinding),
+  ],
+});
+
+await selection.commit([
+  ...problems.map((p) => p.source.label),
+  ...findings.filter((f) => f.severity === 'error' && !f.baselined).map((f) => f.file),
+]);
+
+const violations = problems.length + count.error;
 if (violations > 0) {
-  console.error(`\n❌  Validation failed with ${violations} violation(s).`);
-  process.exit(1);
+  console.error(`\n❌  Validation failed with ${violations} violation(s), ${count.warn} warning(s).`);
+  process.exit(EXIT.FAILED);
+} else if (count.warn > 0) {
+  log(`\n✅  No violations – ${count.warn} warning(s).`);
 } else {
-  console.log('✅  All variables & descriptions are valid.');
+  log('✅  All variables, descriptions, bindings & schema links are valid.');
 }
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// vro-ci.js – single entry point for the vRO CI tools
+// -----------------------------------------------------------------------------
+// Usage: vro-ci [--config <file>] <command> [options]
+//   lint [--fix] [--report <format>[=<file>]]
+//                       lint embedded scripts (lint-workflow.js)
+//   validate [--update-baseline] [--report <format>[=<file>]]
+//                       naming, descriptions, bindings, graph, forms
+//   docs [--html]       generate the Markdown documentation, with --html
+//                       also the static HTML site
+//   metrics [--report <format>[=<file>]]
+//                       size & complexity against metrics.thresholds
+//   format [--check] [--since <ref> | <file>…]
+//                       rewrite workflow & action XML into canonical form
+//   scaffold <spec> [--out <dir>] [--force]
+//                       create a workflow (and form) from a YAML/JSON spec
+//   remote import <file> | run <workflow.xml | id> [--param <name>=<value>]…
+//                       import into / run on vRO (remote-workflow.js)
+//   check [--base <ref>]
+//                       every read-only check: lint, validate, format,
+//                       dependencies, metrics and element fixtures; with
+//                       --base also version bumps
+// • lint, validate, docs and check take --since <ref> or --changed to process
+//   only what changed and what depends on it (see incremental-vro.js).
+// • Settings live in vro-ci.config.json (see config-vro.js); --config picks
+//   another file for this run.
+// • Every command runs to the end; the exit code is the worst one seen:
+//   0 – clean, 1 – error-level findings, 2 – usage or configuration error.
+// -----------------------------------------------------------------------------
+
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { EXIT, loadConfig } from './config-vro.js';
+import { incrementalOptions } from './incremental-vro.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const USAGE = 'Usage: vro-ci [--config <file>] <lint [--fix] | validate [--update-baseline] | docs [--html] | metrics | format [--check] | scaffold <spec> | remote <import | run> … | check [--base <ref>]>' +
+  ' [--since <ref> | --changed]';
+
+const args = process.argv.slice(2);
+const at = args.indexOf('--config');
+if (at !== -1) {
+  if (!args[at + 1]) {
+    console.error(USAGE);
+    process.exit(EXIT.USAGE);
+  }
+  process.env.VRO_CI_CONFIG = args[at + 1];
+  args.splice(at, 2);
+}
+const [command, ...options] = args;
+
+// Fail once, up front, instead of once per tool.
+await loadConfig();
+
+// Each tool runs in its own process – they are top-level scripts that exit
+// with their own status. The config file reaches them via VRO_CI_CONFIG.
+function run(script, scriptArgs = []) {
+  const { status } = spawnSync(process.execPath, [path.join(SCRIPTS_DIR, script), ...scriptArgs], {
+    stdio: 'inherit',
+  });
+  return status ?? EXIT.FAILED; // killed by a signal
+}
+
+function check() {
+  const at = options.indexOf('--base');
+  const base = at === -1 ? undefined : options[at + 1];
+  // Lint and validate are the slow ones; the rest always runs in full.
+  let only = null;
+  try {
+    const incremental = incrementalOptions(options);
+    only = incremental?.since ? ['--since', incremental.since] : incremental ? ['--changed'] : [];
+  } catch {
+    // reported below
+  }
+  if ((at !== -1 && !base) || !only) {
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  const steps = [
+    ['lint-workflow.js', only],
+    ['validate-workflow.js', only],
+    // Formatting is checked for changed files only when --since is given.
+    ['format-workflow.js', ['--check', ...(only[0] === '--since' ? only : [])]],
+    ['deps-workflow.js'],
+    ['metrics-workflow.js'],
+    ['test-workflow.js'],
+    ...(base ? [['check-versions.js', [base]]] : []),
+  ];
+  const results = steps.map(([script, scriptArgs]) => [script, run(script, scriptArgs)]);
+
+  console.log('\n📋  vro-ci check');
+  for (const [script, status] of results) {
+    console.log(`    ${status === EXIT.OK ? '✔' : '✖'} ${script.replace('.js', '')}`);
+  }
+  return Math.max(...results.map(([, status]) => status));
+}
+
+const COMMANDS = {
+  lint: () => run('lint-workflow.js', options),
+  validate: () => run('validate-workflow.js', options),
+  docs: () => run('docs-workflow.js', options),
+  metrics: () => run('metrics-workflow.js', options),
+  format: () => run('format-workflow.js', options),
+  scaffold: () => run('scaffold-workflow.js', options),
+  remote: () => run('remote-workflow.js', options),
+  check,
+};
+
+if (!COMMANDS[command]) {
+  console.error(USAGE);
+  process.exit(EXIT.USAGE);
+}
+
+process.exit(COMMANDS[command]());
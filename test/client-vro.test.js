@@ -0,0 +1,332 @@
+// test/client-vro.test.js – client-vro.js against a local mock vRA/vRO
+// -----------------------------------------------------------------------------
+// Each test starts its own HTTP server on a free port; `routes` answer by
+// "METHOD /path" (query included when the route has one) and every request
+// is recorded. Run with `npm test` (node --test).
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+import { createClient, executionParameters, plainValue, vroValue } from '../scripts/client-vro.js';
+
+const LOGIN = {
+  'POST /csp/gateway/am/api/login?access_token': () => ({ json: { refresh_token: 'refresh-1' } }),
+  'POST /iaas/api/login': () => ({ json: { token: 'token-1' } }),
+};
+
+// `routes` map "METHOD /path" to (request, n) => { status, json, headers } or
+// null to never answer; n counts the calls of that route from 1.
+async function mockServer(routes) {
+  const requests = [];
+  const calls = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+      requests.push(request);
+      const key = [`${req.method} ${req.url}`, `${req.method} ${req.url.split('?')[0]}`].find((k) => routes[k]);
+      if (!key) {
+        res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ message: 'not found' }));
+        return;
+      }
+      calls.set(key, (calls.get(key) ?? 0) + 1);
+      const answer = routes[key](request, calls.get(key));
+      if (answer === null) return; // hang – the client runs into its timeout
+      const { status = 200, json, headers = {} } = answer;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(json === undefined ? '' : JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    count: (method, pathname) => requests.filter((r) => r.method === method && r.url.split('?')[0] === pathname).length,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+const clientFor = (server, options = {}) =>
+  createClient({ url: server.url, username: 'ci', password: 'secret', retries: 2, retryDelay: 0, requestTimeout: 2, ...options });
+
+const jsonBody = (request) => JSON.parse(request.body.toString('utf8'));
+
+// The single file part of a multipart/form-data request.
+function uploadedFile(request) {
+  const boundary = /boundary=(.+)$/.exec(request.headers['content-type'])[1];
+  const body = request.body.toString('latin1');
+  const head = body.indexOf('\r\n\r\n');
+  const end = body.lastIndexOf(`\r\n--${boundary}--`);
+  return {
+    filename: /filename="([^"]*)"/.exec(body.slice(0, head))[1],
+    data: request.body.subarray(head + 4, end),
+  };
+}
+
+// ---------- login --------------------------------------------------------------
+
+test('logs in with user and password: refresh token, then bearer token', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'GET /vco/api/workflows/wf-1': () => ({ json: { 'input-parameters': [{ name: 'vmName', type: 'string' }] } }),
+  });
+  t.after(server.close);
+
+  const inputs = await clientFor(server).workflowInputs('wf-1');
+
+  assert.deepEqual(inputs, [{ name: 'vmName', type: 'string' }]);
+  const [csp, iaas, get] = server.requests;
+  assert.deepEqual(jsonBody(csp), { username: 'ci', password: 'secret' });
+  assert.deepEqual(jsonBody(iaas), { refreshToken: 'refresh-1' });
+  assert.equal(csp.headers.authorization, undefined);
+  assert.equal(get.headers.authorization, 'Bearer token-1');
+});
+
+test('uses a given refresh token without the user login', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'GET /vco/api/workflows/wf-1': () => ({ json: {} }),
+  });
+  t.after(server.close);
+
+  await createClient({ url: server.url, refreshToken: 'refresh-1', retryDelay: 0 }).workflowInputs('wf-1');
+
+  assert.equal(server.count('POST', '/csp/gateway/am/api/login'), 0);
+  assert.deepEqual(jsonBody(server.requests[0]), { refreshToken: 'refresh-1' });
+});
+
+test('fails without credentials or when the login has no token', async (t) => {
+  const server = await mockServer({ 'POST /iaas/api/login': () => ({ json: {} }) });
+  t.after(server.close);
+
+  await assert.rejects(createClient({ url: server.url }).workflowInputs('wf-1'), /no credentials/);
+  await assert.rejects(createClient({ url: server.url, refreshToken: 'r' }).workflowInputs('wf-1'), /no token/);
+});
+
+test('logs in again once after a 401', async (t) => {
+  let tokens = 0;
+  const server = await mockServer({
+    ...LOGIN,
+    'POST /iaas/api/login': () => ({ json: { token: `token-${++tokens}` } }),
+    'GET /vco/api/workflows/wf-1': (req) =>
+      (req.headers.authorization === 'Bearer token-1' ? { status: 401, json: { message: 'expired' } } : { json: {} }),
+    'GET /vco/api/workflows/wf-2': () => ({ status: 401, json: { message: 'denied' } }),
+  });
+  t.after(server.close);
+  const client = clientFor(server);
+
+  await client.workflowInputs('wf-1');
+  const gets = server.requests.filter((r) => r.method === 'GET');
+  assert.deepEqual(gets.map((r) => r.headers.authorization), ['Bearer token-1', 'Bearer token-2']);
+
+  // A second 401 in a row is an error, not a login loop.
+  await assert.rejects(client.workflowInputs('wf-2'), /HTTP 401 – denied/);
+  assert.equal(server.count('GET', '/vco/api/workflows/wf-2'), 2);
+});
+
+// ---------- retries -------------------------------------------------------------
+
+test('retries 5xx and 429 answers', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'GET /vco/api/workflows/wf-1': (req, n) => (n === 1 ? { status: 503 } : n === 2 ? { status: 429 } : { json: {} }),
+    'GET /vco/api/workflows/wf-2': () => ({ status: 500, json: { message: 'broken' } }),
+  });
+  t.after(server.close);
+  const logged = [];
+  const client = clientFor(server, { log: (message) => logged.push(message) });
+
+  await client.workflowInputs('wf-1');
+  assert.equal(server.count('GET', '/vco/api/workflows/wf-1'), 3);
+  assert.equal(logged.length, 2);
+
+  await assert.rejects(client.workflowInputs('wf-2'), /HTTP 500 – broken/);
+  assert.equal(server.count('GET', '/vco/api/workflows/wf-2'), 3); // first try + 2 retries
+});
+
+test('does not retry other client errors', async (t) => {
+  const server = await mockServer({ ...LOGIN, 'GET /vco/api/workflows/wf-1': () => ({ status: 400 }) });
+  t.after(server.close);
+
+  await assert.rejects(clientFor(server).workflowInputs('wf-1'), (err) => err.status === 400);
+  assert.equal(server.count('GET', '/vco/api/workflows/wf-1'), 1);
+});
+
+test('retries a request that never reached the server', async () => {
+  // Nothing listens on the port of a closed server.
+  const server = await mockServer({});
+  await server.close();
+  const logged = [];
+
+  await assert.rejects(clientFor(server, { log: (message) => logged.push(message) }).workflowInputs('wf-1'), /ECONNREFUSED/);
+  assert.equal(logged.length, 2);
+});
+
+test('does not start an execution twice after a timeout or an ambiguous 5xx', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'POST /vco/api/workflows/wf-1/executions': () => null,
+    'POST /vco/api/workflows/wf-2/executions': () => ({ status: 502 }),
+  });
+  t.after(server.close);
+  const client = clientFor(server, { requestTimeout: 0.3 });
+
+  await assert.rejects(client.startExecution('wf-1', []), /no response within 0.3s – not sent again/);
+  assert.equal(server.count('POST', '/vco/api/workflows/wf-1/executions'), 1);
+
+  await assert.rejects(client.startExecution('wf-2', []), /HTTP 502 – not sent again/);
+  assert.equal(server.count('POST', '/vco/api/workflows/wf-2/executions'), 1);
+});
+
+test('starts an execution again when the server turned it away', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'POST /vco/api/workflows/wf-1/executions': (req, n) =>
+      (n === 1 ? { status: 503 } : n === 2 ? { status: 429 } : { status: 202, json: { id: 'ex-1', state: 'running' } }),
+  });
+  t.after(server.close);
+
+  assert.equal(await clientFor(server).startExecution('wf-1', []), 'ex-1');
+  assert.equal(server.count('POST', '/vco/api/workflows/wf-1/executions'), 3);
+});
+
+// ---------- parameters ----------------------------------------------------------
+
+test('types parameter values from the workflow inputs', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'POST /vco/api/workflows/wf-1/executions': () => ({ status: 202, headers: { Location: '/vco/api/workflows/wf-1/executions/ex-7/' } }),
+  });
+  t.after(server.close);
+  const inputs = [
+    { name: 'vmName', type: 'string' },
+    { name: 'cpuCount', type: 'number' },
+    { name: 'tags', type: 'Array/string' },
+  ];
+
+  const parameters = executionParameters(inputs, { vmName: 'web01', cpuCount: '4', tags: 'a, b' });
+  const id = await clientFor(server).startExecution('wf-1', parameters);
+
+  assert.equal(id, 'ex-7'); // from the Location header
+  assert.deepEqual(jsonBody(server.requests.at(-1)).parameters, [
+    { name: 'vmName', type: 'string', scope: 'local', value: { string: { value: 'web01' } } },
+    { name: 'cpuCount', type: 'number', scope: 'local', value: { number: { value: 4 } } },
+    { name: 'tags', type: 'Array/string', scope: 'local', value: { array: { elements: [{ string: { value: 'a' } }, { string: { value: 'b' } }] } } },
+  ]);
+});
+
+test('vroValue covers the vRO types and rejects values that do not fit', () => {
+  assert.deepEqual(vroValue('boolean', 'true'), { boolean: { value: true } });
+  assert.deepEqual(vroValue('SecureString', 's3cret'), { 'secure-string': { value: 's3cret' } });
+  assert.deepEqual(vroValue('Date', '2024-05-01T10:00:00Z'), { date: { value: '2024-05-01T10:00:00.000Z' } });
+  assert.deepEqual(vroValue('Array/number', '[1, 2]'), { array: { elements: [{ number: { value: 1 } }, { number: { value: 2 } }] } });
+  assert.deepEqual(vroValue('Properties', '{"a":"x","n":1}'), {
+    properties: { property: [{ key: 'a', value: { string: { value: 'x' } } }, { key: 'n', value: { number: { value: 1 } } }] },
+  });
+  assert.deepEqual(vroValue('VC:VirtualMachine', 'vm-42'), { 'sdk-object': { type: 'VC:VirtualMachine', id: 'vm-42' } });
+  assert.deepEqual(vroValue('Any', '3'), { number: { value: 3 } });
+  assert.deepEqual(vroValue('Any', 'web01'), { string: { value: 'web01' } });
+
+  assert.throws(() => vroValue('number', 'four'), /expected a number/);
+  assert.throws(() => vroValue('boolean', 'yes'), /expected true or false/);
+  assert.throws(() => vroValue('Date', 'soon'), /expected a date/);
+  assert.throws(() => vroValue('Properties', '[1]'), /expected an object/);
+  assert.throws(() => vroValue('MimeAttachment', 'x'), /cannot be passed in/);
+  assert.throws(() => executionParameters([{ name: 'a', type: 'string' }], { b: 'x' }), /"b" is not an input/);
+
+  assert.deepEqual(plainValue(vroValue('Properties', { tags: ['a'] })), { tags: ['a'] });
+});
+
+// ---------- polling -------------------------------------------------------------
+
+test('polls until the execution reaches a terminal state', async (t) => {
+  const states = ['running', 'running', 'waiting', 'completed'];
+  const server = await mockServer({
+    ...LOGIN,
+    'GET /vco/api/workflows/wf-1/executions/ex-1': (req, n) => ({
+      json: { state: states[n - 1], 'output-parameters': [{ name: 'ok', type: 'boolean', value: { boolean: { value: true } } }] },
+    }),
+    'GET /vco/api/workflows/wf-1/executions/ex-2': (req, n) =>
+      ({ json: n === 1 ? { state: 'running' } : { state: 'failed', 'content-exception': 'boom' } }),
+  });
+  t.after(server.close);
+  const client = clientFor(server);
+  const seen = [];
+
+  const result = await client.waitForExecution('wf-1', 'ex-1', { interval: 0.01, onState: (state) => seen.push(state) });
+  assert.equal(result.state, 'completed');
+  assert.deepEqual(seen, ['running', 'waiting', 'completed']);
+  assert.equal(plainValue(result['output-parameters'][0].value), true);
+
+  const failed = await client.waitForExecution('wf-1', 'ex-2', { interval: 0.01 });
+  assert.equal(failed.state, 'failed');
+  assert.equal(failed['content-exception'], 'boom');
+});
+
+test('gives up waiting after the wait timeout', async (t) => {
+  const server = await mockServer({
+    ...LOGIN,
+    'GET /vco/api/workflows/wf-1/executions/ex-1': () => ({ json: { state: 'running' } }),
+  });
+  t.after(server.close);
+
+  await assert.rejects(
+    clientFor(server).waitForExecution('wf-1', 'ex-1', { interval: 0.05, timeout: 0.2 }),
+    /execution ex-1 still running after 0.2s/,
+  );
+});
+
+// ---------- import --------------------------------------------------------------
+
+test('imports a .package as it is', async (t) => {
+  const server = await mockServer({ ...LOGIN, 'POST /vco/api/packages': () => ({ status: 202 }) });
+  t.after(server.close);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vro-client-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'com.lab.demo.package');
+  const zip = new AdmZip();
+  zip.addFile('dunes-meta-inf', Buffer.from('pkg-name=com.lab.demo\n'));
+  zip.writeZip(file);
+
+  await clientFor(server).importFile(file, { overwrite: true });
+
+  const upload = server.requests.at(-1);
+  assert.equal(upload.url, '/vco/api/packages?overwrite=true');
+  const { filename, data } = uploadedFile(upload);
+  assert.equal(filename, 'com.lab.demo.package');
+  assert.deepEqual(data, await fs.readFile(file));
+});
+
+test('imports a workflow XML as a .workflow archive into a category', async (t) => {
+  const server = await mockServer({ ...LOGIN, 'POST /vco/api/workflows': () => ({ status: 202 }) });
+  t.after(server.close);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vro-client-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'workflow.xml');
+  const xml = '<?xml version="1.0" encoding="UTF-8"?>\n<workflow id="wf-1"><display-name>Größe</display-name></workflow>\n';
+  await fs.writeFile(file, xml, 'utf8');
+  const client = clientFor(server);
+
+  await client.importFile(file, { categoryId: 'cat 1' });
+
+  const upload = server.requests.at(-1);
+  assert.equal(upload.url, '/vco/api/workflows?categoryId=cat%201&overwrite=false');
+  const { filename, data } = uploadedFile(upload);
+  assert.equal(filename, 'workflow.workflow');
+  const archive = new AdmZip(data);
+  const content = archive.getEntry('workflow-content').getData();
+  assert.deepEqual([...content.subarray(0, 2)], [0xfe, 0xff]); // UTF-16BE BOM
+  assert.equal(Buffer.from(content.subarray(2)).swap16().toString('utf16le'), xml);
+  assert.match(archive.getEntry('workflow-info').getData().toString('utf8'), /unicode=true/);
+
+  await assert.rejects(client.importFile(file), /needs a category id/);
+});
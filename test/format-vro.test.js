@@ -0,0 +1,98 @@
+// test/format-vro.test.js – canonical form of format-vro.js
+// -----------------------------------------------------------------------------
+// The canonical text must read back into the same workflow (parse-vro.js) and
+// be a fixed point of formatXml().
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatXml } from '../scripts/format-vro.js';
+import { decodeText, parseXml, parseXmlTree, writeXml } from '../scripts/parse-vro.js';
+
+const WORKFLOW = [
+  '<?xml version=\'1.0\' encoding=\'UTF-8\'?>',
+  '<workflow version="1.2.0" id="wf-1" xmlns="http://vmware.com/vco/workflow" root-name="item1">',
+  '  <workflow-item out-name="item0" name="item10" type="task">',
+  '    <script encoded="false"><![CDATA[if (a < b && c > 0) {',
+  '  System.log("done ]]]]><![CDATA[> <here>");',
+  '}]]></script>',
+  '    <display-name><![CDATA[Log]]></display-name>',
+  '  </workflow-item>',
+  '  <!-- the first step -->',
+  '  <workflow-item name="item1" out-name="item2" type="task">',
+  '    <script encoded="false">var s = &quot;a &amp; b&quot; &lt; &apos;c&apos;;</script>',
+  '    <display-name>Tom &amp; Jerry</display-name>',
+  '  </workflow-item>',
+  '  <workflow-item name="item2" type="task" out-name="item10"><script encoded="false"><![CDATA[var x = 1;]]>',
+  '<![CDATA[var y = 2;]]></script></workflow-item>',
+  '  <workflow-item type="end" name="item0"/>',
+  '  <display-name>Log &lt;things&gt; &#169;</display-name>',
+  '  <attrib name="note" type="string" read-only="false"><value encoded="n"><![CDATA[line 1',
+  'line 2]]></value><description>say "hi"</description></attrib>',
+  '  <input><param name="vmName" type="string" description="two&#10;lines &amp; a &quot;quote&quot;"/></input>',
+  '</workflow>',
+].join('\r\n');
+
+const collect = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+// Same-tag siblings are sorted by name in canonical form; compare them in
+// that order on both sides.
+const byName = (obj) => {
+  const root = obj.workflow;
+  root['workflow-item'] = collect(root['workflow-item']).sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+  return obj;
+};
+
+test('formatting is idempotent', () => {
+  const formatted = formatXml(WORKFLOW);
+  assert.equal(formatXml(formatted), formatted);
+  assert.equal(formatXml(formatted.replaceAll('\n', '\r\n')), formatted);
+});
+
+test('the canonical form reads back into the same workflow', async () => {
+  const formatted = formatXml(WORKFLOW);
+  assert.deepEqual(byName(await parseXml(formatted)), byName(await parseXml(WORKFLOW.replaceAll('\r\n', '\n'))));
+});
+
+test('orders attributes and children, and keeps comments with their element', () => {
+  const lines = formatXml(WORKFLOW).split('\n');
+  assert.equal(lines[0], '<?xml version="1.0" encoding="UTF-8"?>');
+  assert.equal(lines[1], '<workflow xmlns="http://vmware.com/vco/workflow" id="wf-1" root-name="item1" version="1.2.0">');
+  assert.deepEqual(lines.filter((l) => /^ {2}<[^/]/.test(l)).map((l) => l.trim().split(/[ >]/)[0]), [
+    '<display-name', '<input', '<attrib', '<workflow-item', '<!--', '<workflow-item', '<workflow-item', '<workflow-item',
+  ]);
+  const items = lines.filter((l) => l.startsWith('  <workflow-item')).map((l) => /name="(\w+)"/.exec(l)[1]);
+  assert.deepEqual(items, ['item0', 'item1', 'item2', 'item10']);
+  assert.match(formatXml(WORKFLOW), /<!-- the first step -->\n {2}<workflow-item name="item1"/);
+});
+
+test('scripts become one CDATA section with "]]>" split, other text keeps its entities', () => {
+  const formatted = formatXml(WORKFLOW);
+  assert.match(formatted, /<script encoded="false"><!\[CDATA\[var s = "a & b" < 'c';\]\]><\/script>/);
+  // The line break between the two sections is part of the script.
+  assert.match(formatted, /<!\[CDATA\[var x = 1;\nvar y = 2;\]\]>/);
+  assert.match(formatted, /System\.log\("done \]\]\]\]><!\[CDATA\[> <here>"\);/);
+  assert.match(formatted, /<display-name>Log &lt;things&gt; ©<\/display-name>/);
+  assert.match(formatted, /<display-name>Tom &amp; Jerry<\/display-name>/);
+  assert.match(formatted, /description="two&#10;lines &amp; a &quot;quote&quot;"/);
+  // CDATA that is not a script stays CDATA.
+  assert.match(formatted, /<value encoded="n"><!\[CDATA\[line 1\nline 2\]\]><\/value>/);
+});
+
+test('UTF-16 files format like their UTF-8 version', () => {
+  const utf16 = WORKFLOW.replace("encoding='UTF-8'", "encoding='UTF-16'");
+  const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(utf16, 'utf16le')]);
+  const be = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(utf16, 'utf16le').swap16()]);
+  const expected = formatXml(WORKFLOW);
+  assert.equal(formatXml(decodeText(le)), expected);
+  assert.equal(formatXml(decodeText(be)), expected);
+  assert.equal(formatXml(decodeText(Buffer.from(`\uFEFF${WORKFLOW}`, 'utf8'))), expected);
+});
+
+test('writeXml(parseXmlTree()) reads back into the same tree', () => {
+  const tree = parseXmlTree(WORKFLOW);
+  assert.deepEqual(parseXmlTree(writeXml(tree)), tree);
+});
+
+test('XML that does not parse throws', () => {
+  assert.throws(() => formatXml('<workflow><workflow-item></workflow>'), /Unexpected close tag/);
+});
@@ -0,0 +1,61 @@
+// test/graph-vro.test.js – schema graph checks of graph-vro.js
+// -----------------------------------------------------------------------------
+// Workflows are written as the parsed XML objects parse-vro.js returns.
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph, checkGraph } from '../scripts/graph-vro.js';
+
+const item = (name, type, links = {}) => ({ name, type, 'display-name': { _: name }, ...links });
+const problemsOf = (items) => checkGraph(buildGraph({ 'root-name': items[0].name, 'workflow-item': items })).map((p) => p.message);
+
+test('a straight workflow has no problems', () => {
+  assert.deepEqual(problemsOf([
+    item('item1', 'task', { 'out-name': 'item2' }),
+    item('item2', 'task', { 'out-name': 'item0' }),
+    item('item0', 'end'),
+  ]), []);
+});
+
+test('reports an item without an outgoing transition', () => {
+  assert.deepEqual(problemsOf([
+    item('item1', 'condition', { 'out-name': 'item0', 'alt-out-name': 'item2' }),
+    item('item2', 'task', { 'catch-name': 'item0' }),
+    item('item0', 'end'),
+  ]), ['workflow-item "item2" has no outgoing transition']);
+});
+
+test('reports items in a cycle that only leads into another cycle', () => {
+  // item1 ⇄ item2 leaves for item3 ⇄ item4, which never ends.
+  assert.deepEqual(problemsOf([
+    item('item1', 'task', { 'out-name': 'item2' }),
+    item('item2', 'condition', { 'out-name': 'item1', 'alt-out-name': 'item3' }),
+    item('item3', 'task', { 'out-name': 'item4' }),
+    item('item4', 'task', { 'out-name': 'item3' }),
+    item('item0', 'end'),
+  ]).sort(), [
+    'cycle without exit: "item4" → "item3"',
+    'workflow-item "item0" is not reachable from the root item',
+    'workflow-item "item1" has no path to an end item',
+    'workflow-item "item2" has no path to an end item',
+  ]);
+});
+
+test('a cycle with a way out to an end item passes', () => {
+  assert.deepEqual(problemsOf([
+    item('item1', 'task', { 'out-name': 'item2' }),
+    item('item2', 'condition', { 'out-name': 'item1', 'alt-out-name': 'item0' }),
+    item('item0', 'end'),
+  ]), []);
+});
+
+test('a dangling link is reported once, not as a missing path', () => {
+  assert.deepEqual(problemsOf([
+    item('item1', 'task', { 'out-name': 'item9' }),
+    item('item0', 'end'),
+  ]), [
+    'workflow-item "item1" out link points to missing element "item9"',
+    'workflow-item "item0" is not reachable from the root item',
+  ]);
+});
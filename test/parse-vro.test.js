@@ -0,0 +1,89 @@
+// test/parse-vro.test.js – writing fixed scripts back (lint --fix)
+// -----------------------------------------------------------------------------
+// replaceScripts() may only touch the bytes of the scripts it replaces.
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { extractScripts, locateScripts, parseXml, replaceScripts, writeScripts } from '../scripts/parse-vro.js';
+
+// Deliberately not canonical: CRLF, odd indentation, whitespace around the
+// CDATA, a comment and a script with "]]>" in it.
+const WORKFLOW = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<workflow id="wf-1" root-name="item1"   version="1.0.0">',
+  '<!-- keep me -->',
+  '      <workflow-item name="item1" out-name="item2" type="task">',
+  '  <script encoded="false">',
+  '    <![CDATA[var a = "x" ;]]>',
+  '  </script>',
+  '  <display-name>First</display-name>',
+  '      </workflow-item>',
+  '  <workflow-item name="item2" out-name="item3" type="task"><script encoded="false"><![CDATA[var s = "]]]]><![CDATA[>";]]></script>',
+  '  <display-name>Second</display-name></workflow-item>',
+  '  <workflow-item name="item3" out-name="item0" type="task"><script encoded="false">var b = 1 &lt; 2</script>',
+  '  <display-name>Third</display-name></workflow-item>',
+  '  <workflow-item name="item0" type="end"/>',
+  '</workflow>',
+].join('\r\n');
+
+// What lies outside the CDATA of `name`.
+function around(text, name) {
+  const { start, end } = locateScripts(text).get(name);
+  const body = text.slice(start, end);
+  return [text.slice(0, start + body.indexOf('<![CDATA[')), text.slice(start + body.lastIndexOf(']]>') + 3)];
+}
+
+const scriptsOf = async (text) => Object.fromEntries(extractScripts(await parseXml(text), text).map((s) => [s.element, s.code]));
+
+test('replaces only the CDATA of a script', async () => {
+  const fixed = replaceScripts(WORKFLOW, new Map([['item1', 'var a = "x";']]));
+
+  assert.deepEqual(around(fixed, 'item1'), around(WORKFLOW, 'item1'));
+  assert.equal(fixed, WORKFLOW.replace('<![CDATA[var a = "x" ;]]>', '<![CDATA[var a = "x";]]>'));
+  assert.equal((await scriptsOf(fixed)).item1, 'var a = "x";');
+});
+
+test('putting the extracted scripts back changes nothing', async () => {
+  const scripts = await scriptsOf(WORKFLOW);
+  assert.equal(scripts.item1, 'var a = "x" ;');
+  assert.equal(replaceScripts(WORKFLOW, new Map(Object.entries(scripts))), WORKFLOW);
+});
+
+test('keeps "]]>" in a script and the other scripts as they are', async () => {
+  const code = 'var s = "]]>"; var t = "]]>";';
+  const fixed = replaceScripts(WORKFLOW, new Map([['item2', code]]));
+
+  assert.deepEqual(around(fixed, 'item2'), around(WORKFLOW, 'item2'));
+  assert.deepEqual(await scriptsOf(fixed), { ...(await scriptsOf(WORKFLOW)), item2: code });
+});
+
+test('escapes scripts stored as text, and leaves unknown elements alone', async () => {
+  const fixed = replaceScripts(WORKFLOW, new Map([['item3', 'var b = (1 < 2) && true;'], ['item9', 'x();']]));
+
+  assert.equal(fixed, WORKFLOW.replace('var b = 1 &lt; 2', 'var b = (1 &lt; 2) &amp;&amp; true;'));
+  assert.equal((await scriptsOf(fixed)).item3, 'var b = (1 < 2) && true;');
+});
+
+test('several fixes at once land in the right places', async () => {
+  const changes = new Map([['item1', 'var a = "a much longer line than before";'], ['item2', ''], ['item3', 'var b;']]);
+  const fixed = replaceScripts(WORKFLOW, changes);
+
+  assert.deepEqual(await scriptsOf(fixed), { item1: changes.get('item1'), item3: 'var b;' });
+  assert.ok(fixed.includes('<!-- keep me -->\r\n      <workflow-item name="item1"'));
+});
+
+test('writeScripts() writes the file only when a script changed', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vro-parse-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'workflow.xml');
+
+  await writeScripts(file, WORKFLOW, new Map([['item1', 'var a = "x" ;']]));
+  await assert.rejects(fs.access(file));
+
+  const fixed = await writeScripts(file, WORKFLOW, new Map([['item1', 'var a = "x";']]));
+  assert.equal(await fs.readFile(file, 'utf8'), fixed);
+});
@@ -0,0 +1,37 @@
+// test/rules-vro.test.js – severities and options of rules-vro.js
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runRules } from '../scripts/rules-vro.js';
+
+const seen = [];
+const rules = new Map([
+  ['max-items', {
+    id: 'max-items',
+    kind: 'workflow',
+    severity: 'warn',
+    check({ options }) {
+      seen.push(options);
+      return [{ message: `more than ${options.max ?? 10} items` }];
+    },
+  }],
+]);
+const run = (setting) => runRules(rules, 'workflow', { root: {}, config: { validate: { rules: setting === undefined ? {} : { 'max-items': setting } } } });
+
+test('takes the severity from plain and ESLint-style settings', async () => {
+  assert.equal((await run(undefined))[0].severity, 'warn');
+  assert.equal((await run('error'))[0].severity, 'error');
+  assert.equal((await run(2))[0].severity, 'error');
+  assert.equal((await run(['info', { max: 5 }]))[0].severity, 'info');
+  assert.equal((await run([1]))[0].severity, 'warn');
+  assert.deepEqual(await run(['off', { max: 5 }]), []);
+});
+
+test('passes the options of an ESLint-style setting to the rule', async () => {
+  seen.length = 0;
+  const [finding] = await run(['error', { max: 5 }]);
+  await run('warn');
+  assert.equal(finding.message, 'more than 5 items');
+  assert.deepEqual(seen, [{ max: 5 }, {}]);
+});
@@ -0,0 +1,29 @@
+// test/runtime-vro.test.js – decisions and switches of runtime-vro.js
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, decide } from '../scripts/runtime-vro.js';
+
+const runtime = createRuntime({});
+const condition = (name, type, value, extra = {}) => ({ name, type, comparator: '0', _: value, ...extra });
+
+test('a switch ignores whitespace around condition values', () => {
+  const el = {
+    type: 'switch',
+    'out-name': 'item9',
+    condition: [condition('env', 'string', ' prod\n', { label: 'item2' }), condition('env', 'string', 'dev ', { label: 'item3' })],
+  };
+  assert.deepEqual(decide(el, { env: 'prod' }, runtime), { decision: 'prod', next: 'item2' });
+  assert.deepEqual(decide(el, { env: 'dev' }, runtime), { decision: 'dev', next: 'item3' });
+  assert.deepEqual(decide(el, { env: 'test' }, runtime), { decision: 'default', next: 'item9' });
+});
+
+test('a decision without a script compares by type', () => {
+  const el = (c) => ({ type: 'condition', 'out-name': 'yes', 'alt-out-name': 'no', condition: c });
+  assert.equal(decide(el(condition('isLarge', 'boolean', '')), { isLarge: true }, runtime).next, 'yes');
+  assert.equal(decide(el(condition('isLarge', 'boolean', 'false ')), { isLarge: true }, runtime).next, 'no');
+  assert.equal(decide(el(condition('cpus', 'number', ' 16')), { cpus: 16 }, runtime).next, 'yes');
+  assert.equal(decide(el(condition('name', 'string', 'web01 ')), { name: 'web01' }, runtime).next, 'yes');
+  assert.throws(() => decide(el(condition('cpus', 'number', '16', { comparator: '3' })), { cpus: 20 }, runtime), /generated script/);
+});
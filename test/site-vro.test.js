@@ -0,0 +1,51 @@
+// test/site-vro.test.js – HTML pages of site-vro.js
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildSite } from '../scripts/site-vro.js';
+
+test('markup from descriptions is shown as text, the page structure is kept', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vro-site-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const md = path.join(dir, 'Create_VM.md');
+  await fs.writeFile(md, [
+    '# Create VM',
+    '',
+    '<details>',
+    '<summary><h2>Workflow Details</h2></summary>',
+    '',
+    '- **Description:** Clones a VM <script>alert(1)</script> and <img src=x onerror="alert(2)">',
+    '</details>',
+    '',
+    '<div class="open">',
+    '',
+    '| Input | Description |',
+    '| --- | --- |',
+    '| vmName | first line<br>second <b>bold</b> |',
+    '',
+  ].join('\n'));
+
+  await buildSite({
+    outDir: path.join(dir, 'site'),
+    pages: [{ md, html: 'workflows/Create_VM.html' }],
+    entries: [{ kind: 'workflow', name: 'Create VM', group: '', description: '<i>x</i>', inputs: [], md }],
+  });
+  const html = await fs.readFile(path.join(dir, 'site', 'workflows', 'Create_VM.html'), 'utf8');
+  const body = html.slice(html.indexOf('<main>'), html.indexOf('</main>'));
+
+  assert.ok(!body.includes('<script'), body);
+  assert.ok(!body.includes('<img'), body);
+  assert.ok(!body.includes('<div'), body);
+  assert.ok(!body.includes('<b>'), body);
+  assert.match(body, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(body, /&lt;img src=x onerror=&quot;alert\(2\)&quot;&gt;/);
+  assert.match(body, /<details>\n<summary><h2>Workflow Details<\/h2><\/summary>/);
+  assert.match(body, /first line<br>second/);
+
+  const index = await fs.readFile(path.join(dir, 'site', 'index.html'), 'utf8');
+  assert.match(index, /&lt;i&gt;x&lt;\/i&gt;/);
+});